@@ -94,6 +94,25 @@ function AppContent() {
         return
       }
 
+      // Handle subscription refused (not our session, or it no longer exists)
+      if (message.type === 'subscription_denied') {
+        logger.warn('Session subscription denied', {
+          sessionId: message.sessionId,
+          reason: message.message
+        })
+        return
+      }
+
+      // Handle pause/cancel refused (the session isn't crawling any more)
+      if (message.type === 'session_pause_failed' || message.type === 'session_cancel_failed') {
+        logger.warn('Session control request failed', {
+          sessionId: message.sessionId,
+          type: message.type,
+          reason: message.message
+        })
+        return
+      }
+
       // Handle session resume failed
       if (message.type === 'session_resume_failed') {
         logger.warn('Session resume failed', {
@@ -151,7 +170,8 @@ function AppContent() {
           message: message.message || getDefaultMessage(message),
           status: message.status,
           progress: message.progress,
-          asset: message.asset
+          asset: message.asset,
+          step: message.step
         }
 
         logger.debug('Adding activity log entry', {
@@ -162,7 +182,7 @@ function AppContent() {
         setActivityLog(prev => [logEntry, ...prev])
 
         // Mark cloning as complete when status is completed or error
-        if (message.status === 'completed' || message.status === 'error') {
+        if (message.status === 'completed' || message.status === 'error' || message.status === 'cancelled') {
           setIsCloning(false)
         }
 
@@ -187,6 +207,14 @@ function AppContent() {
         return `Progress: ${Math.round(message.progress || 0)}%`
       case 'asset_found':
         return `Found ${message.asset?.type || 'asset'}: ${message.asset?.url || 'unknown'}`
+      case 'page_crawled':
+        return `Crawled page (depth ${message.page?.depth ?? 0}): ${message.page?.url || 'unknown'}`
+      case 'interaction_step':
+        return `Step ${message.step?.index}/${message.step?.total} ${message.step?.action || 'step'} ${
+          message.step?.success ? 'succeeded' : 'failed'
+        }`
+      case 'asset_processing':
+        return `Processed ${message.processed ?? 0}/${message.total ?? 0} downloaded assets`
       default:
         return 'Processing...'
     }
@@ -218,6 +246,12 @@ function AppContent() {
       // Store session ID for recovery
       localStorage.setItem('procloner_session_id', data.sessionId)
 
+      // Progress events are only delivered to subscribers of the session
+      sendMessage({
+        type: 'subscribe',
+        sessionId: data.sessionId
+      })
+
       setCurrentSession(prev => {
         // If we already have a session with this ID (from WebSocket), merge the data
         if (prev && prev.id === data.sessionId) {
@@ -246,6 +280,12 @@ function AppContent() {
   }
 
   const handleReset = () => {
+    if (currentSession) {
+      sendMessage({
+        type: 'unsubscribe',
+        sessionId: currentSession.id
+      })
+    }
     localStorage.removeItem('procloner_session_id')
     setCurrentSession(null)
     setIsCloning(false)
@@ -265,10 +305,46 @@ function AppContent() {
     }
   }
 
+  const handlePauseSession = () => {
+    if (currentSession) {
+      logger.info('Pausing session', { sessionId: currentSession.id })
+      sendMessage({
+        type: 'pause_session',
+        sessionId: currentSession.id
+      })
+    }
+  }
+
+  const handleResumePausedSession = () => {
+    if (currentSession) {
+      logger.info('Resuming paused session', { sessionId: currentSession.id })
+      sendMessage({
+        type: 'resume_session',
+        sessionId: currentSession.id
+      })
+    }
+  }
+
+  const handleCancelSession = () => {
+    if (currentSession) {
+      logger.info('Cancelling session', { sessionId: currentSession.id })
+      sendMessage({
+        type: 'cancel_session',
+        sessionId: currentSession.id
+      })
+    }
+  }
+
   const handleDiscardSession = () => {
     logger.info('Discarding recoverable session', {
       sessionId: recoverableSession?.sessionId
     })
+    if (recoverableSession) {
+      sendMessage({
+        type: 'unsubscribe',
+        sessionId: recoverableSession.sessionId
+      })
+    }
     localStorage.removeItem('procloner_session_id')
     setShowRecoveryDialog(false)
     setRecoverableSession(null)
@@ -414,7 +490,12 @@ function AppContent() {
               >
                 {/* Main Progress Section */}
                 <div className="space-y-6">
-                  <CloningProgress session={currentSession} />
+                  <CloningProgress
+                    session={currentSession}
+                    onPause={handlePauseSession}
+                    onResume={handleResumePausedSession}
+                    onCancel={handleCancelSession}
+                  />
 
                   {currentSession.status === 'completed' && (
                     <ResultsPanel
@@ -445,6 +526,29 @@ function AppContent() {
                       </div>
                     </motion.div>
                   )}
+
+                  {currentSession.status === 'cancelled' && (
+                    <motion.div
+                      initial={{ opacity: 0 }}
+                      animate={{ opacity: 1 }}
+                      className="card border-yellow-200 bg-yellow-50"
+                    >
+                      <div className="text-center">
+                        <div className="text-yellow-700 text-lg font-medium mb-2">
+                          Cloning Cancelled
+                        </div>
+                        <div className="text-yellow-600 mb-4">
+                          Pages and assets saved before cancelling were kept.
+                        </div>
+                        <button
+                          onClick={handleReset}
+                          className="btn-primary"
+                        >
+                          Start Over
+                        </button>
+                      </div>
+                    </motion.div>
+                  )}
                 </div>
 
                 {/* Activity Log Section */}
@@ -455,7 +559,11 @@ function AppContent() {
                 >
                   <ActivityLog
                     logs={activityLog}
-                    isActive={currentSession.status !== 'completed' && currentSession.status !== 'error'}
+                    isActive={
+                      currentSession.status !== 'completed' &&
+                      currentSession.status !== 'error' &&
+                      currentSession.status !== 'cancelled'
+                    }
                   />
                 </motion.div>
               </motion.div>
@@ -13,7 +13,9 @@ import {
   FileText,
   Palette,
   Box,
-  Zap
+  Zap,
+  MousePointerClick,
+  Wand2
 } from 'lucide-react'
 import { LogEntry } from '../types'
 
@@ -69,6 +71,14 @@ const ActivityLog: React.FC<ActivityLogProps> = ({ logs, isActive }) => {
         return <Package className="w-4 h-4 text-purple-500" />
       case 'asset_found':
         return <Download className="w-4 h-4 text-green-500" />
+      case 'page_crawled':
+        return <Globe className="w-4 h-4 text-blue-500" />
+      case 'interaction_step':
+        return entry.step?.success
+          ? <MousePointerClick className="w-4 h-4 text-indigo-500" />
+          : <AlertCircle className="w-4 h-4 text-amber-500" />
+      case 'asset_processing':
+        return <Wand2 className="w-4 h-4 text-teal-500" />
       default:
         return <Loader2 className="w-4 h-4 text-gray-500" />
     }
@@ -107,6 +117,12 @@ const ActivityLog: React.FC<ActivityLogProps> = ({ logs, isActive }) => {
         return 'border-l-purple-500 bg-purple-50'
       case 'asset_found':
         return 'border-l-green-500 bg-green-50'
+      case 'page_crawled':
+        return 'border-l-blue-500 bg-blue-50'
+      case 'interaction_step':
+        return entry.step?.success ? 'border-l-indigo-500 bg-indigo-50' : 'border-l-amber-500 bg-amber-50'
+      case 'asset_processing':
+        return 'border-l-teal-500 bg-teal-50'
       default:
         return 'border-l-gray-500 bg-gray-50'
     }
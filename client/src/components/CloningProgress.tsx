@@ -1,15 +1,18 @@
 import React from 'react'
 import { motion } from 'framer-motion'
-import { Globe, Package, CheckCircle, AlertCircle, Loader2 } from 'lucide-react'
+import { Globe, Package, CheckCircle, AlertCircle, Loader2, Pause, Play, XCircle } from 'lucide-react'
 import { CloningSession } from '../types'
 import { Card, ProgressBar, StatusBadge, Alert } from './shared/index'
 import { useErrorHandler } from '../hooks/useErrorHandler'
 
 interface CloningProgressProps {
   session: CloningSession
+  onPause?: () => void
+  onResume?: () => void
+  onCancel?: () => void
 }
 
-const CloningProgress: React.FC<CloningProgressProps> = ({ session }) => {
+const CloningProgress: React.FC<CloningProgressProps> = ({ session, onPause, onResume, onCancel }) => {
   const { isError, errorMessage, handleError } = useErrorHandler('CloningProgress');
 
   // Validate session data
@@ -30,6 +33,10 @@ const CloningProgress: React.FC<CloningProgressProps> = ({ session }) => {
         return <CheckCircle className="w-6 h-6 text-green-500" />
       case 'error':
         return <AlertCircle className="w-6 h-6 text-red-500" />
+      case 'paused':
+        return <Pause className="w-6 h-6 text-yellow-500" />
+      case 'cancelled':
+        return <XCircle className="w-6 h-6 text-yellow-500" />
       default:
         return <Loader2 className="w-6 h-6 animate-spin text-gray-500" />
     }
@@ -52,6 +59,10 @@ const CloningProgress: React.FC<CloningProgressProps> = ({ session }) => {
         return 'Cloning timed out. Please try again with a simpler website.'
       case 'interrupted':
         return 'Cloning was interrupted. You can resume this session.'
+      case 'paused':
+        return `Cloning paused with ${assetCount} assets found. Resume to continue where it stopped.`
+      case 'cancelled':
+        return 'Cloning cancelled. Pages and assets saved so far were kept.'
       default:
         return 'Processing...'
     }
@@ -63,6 +74,8 @@ const CloningProgress: React.FC<CloningProgressProps> = ({ session }) => {
       case 'error': return 'error';
       case 'timeout': return 'warning';
       case 'interrupted': return 'warning';
+      case 'paused': return 'warning';
+      case 'cancelled': return 'warning';
       default: return 'pending';
     }
   }
@@ -75,7 +88,9 @@ const CloningProgress: React.FC<CloningProgressProps> = ({ session }) => {
   ]
 
   const getCurrentStepIndex = () => {
-    return steps.findIndex(step => step.key === session.status)
+    // A paused session is still in the crawl step
+    const stepKey = session.status === 'paused' ? 'crawling' : session.status
+    return steps.findIndex(step => step.key === stepKey)
   }
 
   // Show error state if component has errors
@@ -161,6 +176,30 @@ const CloningProgress: React.FC<CloningProgressProps> = ({ session }) => {
         </motion.p>
       </div>
 
+      {/* Crawl Controls - only the crawling phase can be paused or cancelled */}
+      {(session.status === 'crawling' || session.status === 'paused') && (
+        <div className="flex justify-end space-x-3 mb-6">
+          {session.status === 'crawling' && onPause && (
+            <button onClick={onPause} className="btn-secondary flex items-center gap-2">
+              <Pause className="w-4 h-4" />
+              Pause
+            </button>
+          )}
+          {session.status === 'paused' && onResume && (
+            <button onClick={onResume} className="btn-primary flex items-center gap-2">
+              <Play className="w-4 h-4" />
+              Resume
+            </button>
+          )}
+          {onCancel && (
+            <button onClick={onCancel} className="btn-secondary flex items-center gap-2">
+              <XCircle className="w-4 h-4" />
+              Cancel
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Step Indicator */}
       <div className="flex items-center justify-between">
         {steps.map((step, index) => {
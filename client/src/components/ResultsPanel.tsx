@@ -1,23 +1,54 @@
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import { motion } from 'framer-motion'
-import { Download, Eye, Github, Code, Package, Globe, RefreshCw } from 'lucide-react'
-import { CloningSession } from '../types'
+import { Download, Eye, Github, Code, Package, Globe, RefreshCw, Activity, Archive, Box, AlertTriangle } from 'lucide-react'
+import { CloningSession, ExportFormat, ModelSummary } from '../types'
 
 interface ResultsPanelProps {
   session: CloningSession
   onReset: () => void
 }
 
+const formatCount = (value?: number) => (value ?? 0).toLocaleString()
+
 const ResultsPanel: React.FC<ResultsPanelProps> = ({ session, onReset }) => {
-  const handleDownload = async () => {
+  const [models, setModels] = useState<ModelSummary[]>([])
+  const [webArchive, setWebArchive] = useState(false)
+
+  // The model audit and whether web archives can be built come from the session details,
+  // which aren't part of the progress messages
+  useEffect(() => {
+    let cancelled = false
+    fetch(`/api/session/${session.id}`, { credentials: 'include' })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!cancelled && data?.processingSummary?.models) {
+          setModels(data.processingSummary.models)
+        }
+        if (!cancelled) {
+          setWebArchive(Boolean(data?.webArchive))
+        }
+      })
+      .catch(error => console.error('Failed to load session details:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [session.id])
+
+  const handleDownload = async (format: ExportFormat) => {
     try {
-      const response = await fetch(`/api/download/${session.id}`)
+      const response = await fetch(`/api/download/${session.id}?format=${format}`)
       if (response.ok) {
         const blob = await response.blob()
         const url = window.URL.createObjectURL(blob)
+        const siteName = session.url.replace(/[^a-zA-Z0-9]/g, '_')
         const a = document.createElement('a')
         a.href = url
-        a.download = `${session.url.replace(/[^a-zA-Z0-9]/g, '_')}.zip`
+        a.download = format === 'warc'
+          ? `${siteName}.warc.gz`
+          : format === 'wacz'
+            ? `${siteName}.wacz`
+            : format === 'zip' ? `${siteName}.zip` : `${siteName}-${format}.zip`
         document.body.appendChild(a)
         a.click()
         window.URL.revokeObjectURL(url)
@@ -28,6 +59,25 @@ const ResultsPanel: React.FC<ResultsPanelProps> = ({ session, onReset }) => {
     }
   }
 
+  const handleHarDownload = async () => {
+    try {
+      const response = await fetch(`/api/download/${session.id}/har`)
+      if (response.ok) {
+        const blob = await response.blob()
+        const url = window.URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `${session.url.replace(/[^a-zA-Z0-9]/g, '_')}.har`
+        document.body.appendChild(a)
+        a.click()
+        window.URL.revokeObjectURL(url)
+        document.body.removeChild(a)
+      }
+    } catch (error) {
+      console.error('HAR download failed:', error)
+    }
+  }
+
   const handlePreview = () => {
     // This would open a preview window/iframe
     window.open(`/api/preview/${session.id}`, '_blank')
@@ -38,7 +88,7 @@ const ResultsPanel: React.FC<ResultsPanelProps> = ({ session, onReset }) => {
       icon: Download,
       title: 'Download ZIP',
       description: 'Complete website package ready to deploy',
-      action: handleDownload,
+      action: () => handleDownload('zip'),
       primary: true
     },
     {
@@ -51,15 +101,53 @@ const ResultsPanel: React.FC<ResultsPanelProps> = ({ session, onReset }) => {
     {
       icon: Code,
       title: 'Open in VS Code',
-      description: 'Open as VS Code project with dev server',
-      action: () => console.log('VS Code integration'),
+      description: 'Download as a VS Code project with dev server',
+      action: () => handleDownload('vscode'),
       primary: false
     },
     {
       icon: Github,
       title: 'Deploy to GitHub',
-      description: 'Create repository and deploy to GitHub Pages',
-      action: () => console.log('GitHub deployment'),
+      description: 'Download as a repository with a GitHub Pages workflow',
+      action: () => handleDownload('github'),
+      primary: false
+    },
+    {
+      icon: Package,
+      title: 'Docker Image',
+      description: 'Download with Dockerfile and nginx config',
+      action: () => handleDownload('docker'),
+      primary: false
+    },
+    {
+      icon: Globe,
+      title: 'Deploy to Netlify',
+      description: 'Download with netlify.toml ready for deploy',
+      action: () => handleDownload('netlify'),
+      primary: false
+    },
+    // Web archives need the original response bodies, which are only recorded when asked for up front
+    ...(webArchive ? [
+      {
+        icon: Archive,
+        title: 'Web Archive (WACZ)',
+        description: 'WARC records with a CDXJ index, for replay tools',
+        action: () => handleDownload('wacz'),
+        primary: false
+      },
+      {
+        icon: Archive,
+        title: 'Web Archive (WARC)',
+        description: 'WARC 1.1 request, response and metadata records',
+        action: () => handleDownload('warc'),
+        primary: false
+      }
+    ] : []),
+    {
+      icon: Activity,
+      title: 'Network Log (HAR)',
+      description: 'Every request and response the crawler saw',
+      action: handleHarDownload,
       primary: false
     }
   ]
@@ -168,6 +256,104 @@ const ResultsPanel: React.FC<ResultsPanelProps> = ({ session, onReset }) => {
         </div>
       </motion.div>
 
+      {/* 3D Model Audit */}
+      {models.length > 0 && (
+        <motion.div
+          className="card"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 1.1 }}
+        >
+          <h3 className="font-semibold text-lg mb-4 flex items-center gap-2">
+            <Box className="w-5 h-5 text-purple-600" />
+            3D Models
+          </h3>
+          <div className="space-y-4">
+            {models.map(({ url, localPath, metadata }) => (
+              <div key={url} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-start justify-between gap-4 mb-3">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900 truncate" title={url}>
+                      {localPath.split('/').pop() || url}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {[
+                        metadata.container === 'glb' ? 'Binary glTF' : metadata.format,
+                        metadata.version && `glTF ${metadata.version}`,
+                        metadata.generator
+                      ].filter(Boolean).join(' · ')}
+                    </div>
+                  </div>
+                  <span className="text-sm text-gray-600 whitespace-nowrap">
+                    {((metadata.size || 0) / 1024 / 1024).toFixed(2)} MB
+                  </span>
+                </div>
+
+                {metadata.error ? (
+                  <div className="flex items-center gap-2 text-sm text-red-600">
+                    <AlertTriangle className="w-4 h-4" />
+                    {metadata.error}
+                  </div>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-3 md:grid-cols-6 gap-2 text-center mb-3">
+                      {[
+                        ['Meshes', metadata.meshes],
+                        ['Materials', metadata.materials],
+                        ['Textures', metadata.textures],
+                        ['Animations', metadata.animations],
+                        ['Vertices', metadata.vertices],
+                        ['Triangles', metadata.triangles]
+                      ].map(([label, value]) => (
+                        <div key={label as string} className="bg-gray-50 rounded p-2">
+                          <div className="font-semibold text-gray-900">{formatCount(value as number | undefined)}</div>
+                          <div className="text-xs text-gray-500">{label}</div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {(metadata.extensionsUsed?.length ?? 0) > 0 && (
+                      <div className="flex flex-wrap gap-1 mb-2">
+                        {metadata.compression?.map(name => (
+                          <span key={name} className="px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-700">
+                            {name}
+                          </span>
+                        ))}
+                        {metadata.extensionsUsed?.map(name => (
+                          <span
+                            key={name}
+                            className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-600"
+                            title={metadata.extensionsRequired?.includes(name) ? 'Required' : 'Used'}
+                          >
+                            {name}{metadata.extensionsRequired?.includes(name) ? ' *' : ''}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+
+                    {(metadata.dependencies?.missing.length ?? 0) > 0 && (
+                      <div className="flex items-center gap-2 text-sm text-amber-700">
+                        <AlertTriangle className="w-4 h-4" />
+                        Missing {metadata.dependencies?.missing.join(', ')}
+                      </div>
+                    )}
+
+                    {(metadata.extractedTextures?.length ?? 0) > 0 && (
+                      <div className="text-sm text-gray-600">
+                        {metadata.extractedTextures?.length} embedded textures extracted to{' '}
+                        <code className="text-xs">
+                          {metadata.extractedTextures?.[0].localPath.split('/').slice(0, -1).join('/')}
+                        </code>
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        </motion.div>
+      )}
+
       {/* Actions */}
       <motion.div
         className="flex justify-center space-x-4"
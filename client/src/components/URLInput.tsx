@@ -18,7 +18,6 @@ const URLInput: React.FC<URLInputProps> = ({ onStartCloning, isLoading }) => {
   const [options, setOptions] = useState<CloningOptions>({
     depth: 3,
     includeAssets: ['3d-model', 'texture', 'video', 'audio', 'image', 'javascript', 'stylesheet', 'font'],
-    optimizeImages: true,
     generateServiceWorker: true,
     exportFormat: ['zip']
   })
@@ -226,7 +225,9 @@ const URLInput: React.FC<URLInputProps> = ({ onStartCloning, isLoading }) => {
                   { key: 'zip', label: 'ZIP Archive', icon: '📦' },
                   { key: 'vscode', label: 'VS Code Project', icon: '💻' },
                   { key: 'docker', label: 'Docker Container', icon: '🐳' },
-                  { key: 'netlify', label: 'Netlify Deploy', icon: '🌐' }
+                  { key: 'netlify', label: 'Netlify Deploy', icon: '🌐' },
+                  { key: 'wacz', label: 'Web Archive (WACZ)', icon: '🗄️' },
+                  { key: 'warc', label: 'Web Archive (WARC)', icon: '🗃️' }
                 ].map((format) => (
                   <label key={format.key} className="flex items-center space-x-2 text-sm">
                     <input
@@ -252,7 +253,7 @@ const URLInput: React.FC<URLInputProps> = ({ onStartCloning, isLoading }) => {
               <label className="flex items-center space-x-2 text-sm">
                 <input
                   type="checkbox"
-                  checked={options.optimizeImages}
+                  checked={options.optimizeImages ?? false}
                   onChange={(e) => setOptions(prev => ({ ...prev, optimizeImages: e.target.checked }))}
                   className="rounded"
                 />
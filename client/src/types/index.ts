@@ -1,7 +1,8 @@
 export interface CloningSession {
   id: string
   url: string
-  status: 'starting' | 'crawling' | 'processing' | 'completed' | 'error' | 'interrupted' | 'resuming' | 'timeout'
+  status: 'starting' | 'crawling' | 'processing' | 'completed' | 'error' | 'interrupted' | 'resuming' | 'timeout' |
+          'paused' | 'cancelled'
   progress: number
   assets: number
   startTime: Date
@@ -42,6 +43,45 @@ export interface AssetMetadata {
   height?: number
   format?: string
   size?: number
+  // 3D models (.gltf / .glb)
+  container?: 'glb'
+  version?: string
+  generator?: string
+  scenes?: number
+  nodes?: number
+  meshes?: number
+  primitives?: number
+  materials?: number
+  textures?: number
+  images?: number
+  animations?: number
+  skins?: number
+  vertices?: number
+  triangles?: number
+  extensionsUsed?: string[]
+  extensionsRequired?: string[]
+  compression?: string[]
+  dependencies?: {
+    external: number
+    embedded: number
+    missing: string[]
+  }
+  extractedTextures?: ExtractedTexture[]
+  error?: string
+}
+
+export interface ExtractedTexture {
+  image: number
+  name: string | null
+  mimeType: string | null
+  size: number
+  localPath: string
+}
+
+export interface ModelSummary {
+  url: string
+  localPath: string
+  metadata: AssetMetadata
 }
 
 export interface CloningOptions {
@@ -52,21 +92,51 @@ export interface CloningOptions {
   exportFormat?: ExportFormat[]
 }
 
-export type ExportFormat = 'zip' | 'github' | 'vscode' | 'docker' | 'netlify'
+export interface CrawledPage {
+  url: string
+  depth: number
+  localPath: string | null
+  linksFound: number
+}
+
+export interface InteractionStepResult {
+  phase: 'beforeCrawl' | 'everyPage'
+  index: number
+  total: number
+  action: 'goto' | 'fill' | 'click' | 'waitForSelector' | 'press' | 'evaluate'
+  target: string
+  label: string | null
+  pageUrl: string
+  viewport: string | null
+  optional: boolean
+  success: boolean
+  error: string | null
+  durationMs: number
+}
+
+export type ExportFormat = 'zip' | 'github' | 'vscode' | 'docker' | 'netlify' | 'warc' | 'wacz'
 
 export interface WebSocketMessage {
   type: 'status_update' | 'progress_update' | 'asset_found' | 'error' | 'session_not_found' |
-        'connection_status' | 'session_recovery_available' | 'session_resumed' | 'session_resume_failed'
+        'connection_status' | 'session_recovery_available' | 'session_resumed' | 'session_resume_failed' |
+        'page_crawled' | 'subscribed' | 'subscription_denied' | 'session_pause_requested' | 'session_pause_failed' |
+        'session_cancel_requested' | 'session_cancel_failed' | 'interaction_step' | 'asset_processing'
   sessionId?: string
   status?: CloningSession['status']
   progress?: number
   message?: string
   asset?: Asset
   totalAssets?: number
+  page?: CrawledPage
+  totalPages?: number
+  step?: InteractionStepResult
+  processed?: number
+  total?: number
   error?: string
   url?: string
   startTime?: Date | string
   canRecover?: boolean
+  authenticated?: boolean
   timestamp?: Date | string
 }
 
@@ -78,6 +148,7 @@ export interface LogEntry {
   status?: CloningSession['status']
   progress?: number
   asset?: Asset
+  step?: InteractionStepResult
 }
 
 export interface CloningResult {
@@ -7,6 +7,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { logger } = require('../utils/logger');
+const UrlFilter = require('../utils/UrlFilter');
+const { BROWSER_TYPES, resolveViewports } = require('../utils/BrowserDriver');
 
 class ProClonerConfig {
   constructor(configPath = null) {
@@ -80,6 +82,8 @@ class ProClonerConfig {
         // Spider behavior
         followRobotsTxt: true,          // Respect robots.txt
         respectCrawlDelay: true,        // Honor crawl-delay directive
+        useSitemaps: false,             // Seed the crawl from sitemap.xml and robots.txt Sitemap lines
+        maxSitemapFiles: 50,            // Maximum sitemaps (including indexes) to fetch
         followRedirects: true,          // Follow HTTP redirects
         maxRedirects: 5,                // Maximum redirect chain length
         
@@ -99,7 +103,7 @@ class ProClonerConfig {
         // Modern web features
         executeDynamicContent: true,    // Execute JavaScript for dynamic content
         handleSPA: true,                // Handle Single Page Applications
-        discoverAPIEndpoints: true,     // Discover and map API endpoints
+        discoverAPIEndpoints: true,     // Record same-origin API responses, replayed offline in the clone
         handleWebComponents: true,      // Process web components
         processServiceWorkers: false,   // Process service worker files
         
@@ -137,7 +141,6 @@ class ProClonerConfig {
         httpUsername: null,             // HTTP basic auth username
         httpPassword: null,             // HTTP basic auth password
         bearerToken: null,              // Bearer token for API access
-        cookieJar: true,                // Maintain cookie session
         
         // Proxy settings
         proxyEnabled: false,            // Use proxy server
@@ -225,7 +228,8 @@ class ProClonerConfig {
         resourceInterception: true,     // Intercept and modify requests
         
         // Mobile simulation
-        emulateDevice: null,            // Emulate specific device
+        emulateDevice: null,            // Emulate specific device (e.g. 'iPhone 13')
+        viewports: [],                  // Extra viewports captured per page (device names or { name, width, height })
         userAgentOverride: null,        // Override user agent
         touchEvents: false,             // Enable touch events
       },
@@ -234,9 +238,11 @@ class ProClonerConfig {
       assets: {
         // Image processing
         optimizeImages: false,          // Optimize/compress images
-        convertWebP: false,             // Convert images to WebP
+        convertWebP: false,             // Generate WebP variants, served to pages through <picture>
+        convertAVIF: false,             // Generate AVIF variants, served to pages through <picture>
+        responsiveWidths: [480, 960, 1440], // Downscaled widths offered in srcset along with the variants
         generateThumbnails: false,      // Generate image thumbnails
-        maxImageDimensions: null,       // Maximum image dimensions
+        maxImageDimensions: null,       // Maximum image dimensions ({ width, height })
         
         // CSS processing
         minifyCSS: false,               // Minify CSS files
@@ -258,6 +264,7 @@ class ProClonerConfig {
         // 3D content processing
         download3DModels: true,         // Download 3D model files
         optimizeModels: false,          // Optimize 3D models
+        extractModelTextures: false,    // Write textures embedded in .glb models out as files
         extractTextures: true,          // Extract texture files
         
         // Audio/Video processing
@@ -314,6 +321,11 @@ class ProClonerConfig {
         generateManifest: true,         // Generate manifest.json
         includeSourceInfo: true,        // Include source URL info
         generateReport: true,           // Generate crawling report
+        
+        // Network recording
+        captureHar: true,               // Record a HAR 1.2 file of the crawl
+        harIncludeBodies: false,        // Include response bodies in the HAR
+        harMaxBodySize: 2 * 1024 * 1024, // Largest response body recorded (2MB)
       },
 
       // === ERROR HANDLING ===
@@ -435,6 +447,9 @@ class ProClonerConfig {
     
     // Mobile Optimized Profile
     this.profiles.set('mobile', this._createMobileProfile());
+    
+    // Responsive Profile - desktop, tablet and phone captured in one session
+    this.profiles.set('responsive', this._createResponsiveProfile());
   }
 
   _createFastProfile() {
@@ -453,6 +468,7 @@ class ProClonerConfig {
       general: { maxDepth: 5, maxFiles: 5000 },
       crawling: { 
         followExternalLinks: true, 
+        useSitemaps: true,
         parseComments: true,
         executeDynamicContent: true,
         handleSPA: true 
@@ -498,6 +514,7 @@ class ProClonerConfig {
       network: { maxConcurrentConnections: 2, requestsPerSecond: 5 },
       browser: { headless: false },
       errorHandling: { detailedErrorInfo: true, logErrors: true },
+      output: { harIncludeBodies: true },
       performance: { enableProfiling: true }
     });
   }
@@ -540,6 +557,12 @@ class ProClonerConfig {
     });
   }
 
+  _createResponsiveProfile() {
+    return this._mergeConfigs(this.config, {
+      browser: { viewports: ['iPad Pro 11', 'iPhone 13'] }
+    });
+  }
+
   /**
    * Configuration management methods
    */
@@ -557,6 +580,18 @@ class ProClonerConfig {
     });
   }
 
+  /**
+   * Merge partial configuration overrides on top of the current configuration
+   */
+  applyOverrides(overrides) {
+    this.config = this._mergeConfigs(this.config, overrides);
+    
+    logger.debug('Configuration overrides applied', {
+      component: 'ProClonerConfig',
+      sections: Object.keys(overrides)
+    });
+  }
+
   async saveProfile(profileName, config = null) {
     const configToSave = config || this.config;
     this.profiles.set(profileName, { ...configToSave });
@@ -624,15 +659,75 @@ class ProClonerConfig {
   validate() {
     const errors = [];
     
+    // Validate option names and types against the defaults
+    this._validateShape(this._getDefaultConfig(), this.config, '', errors);
+    if (errors.length > 0) {
+      return { isValid: false, errors };
+    }
+    
     // Validate numeric ranges
     if (this.config.general.maxDepth < 0 || this.config.general.maxDepth > 10) {
       errors.push('maxDepth must be between 0 and 10');
     }
     
+    if (this.config.general.maxFiles < 1) {
+      errors.push('maxFiles must be at least 1');
+    }
+    
+    if (this.config.general.maxTime <= 0) {
+      errors.push('maxTime must be greater than 0');
+    }
+    
     if (this.config.network.maxConcurrentConnections < 1 || this.config.network.maxConcurrentConnections > 50) {
       errors.push('maxConcurrentConnections must be between 1 and 50');
     }
     
+    if (this.config.network.retryAttempts < 0 || this.config.network.retryAttempts > 10) {
+      errors.push('retryAttempts must be between 0 and 10');
+    }
+    
+    if (this.config.network.requestsPerSecond <= 0) {
+      errors.push('requestsPerSecond must be greater than 0');
+    }
+
+    if (!BROWSER_TYPES.includes(this.config.browser.browserType)) {
+      errors.push(`browserType must be one of: ${BROWSER_TYPES.join(', ')}`);
+    }
+
+    try {
+      resolveViewports(this.config.browser);
+    } catch (e) {
+      errors.push(e.message);
+    }
+
+    if (this.config.crawling.maxSitemapFiles < 1) {
+      errors.push('maxSitemapFiles must be at least 1');
+    }
+
+    if (!this.config.assets.responsiveWidths.every(width => Number.isInteger(width) && width > 0)) {
+      errors.push('responsiveWidths must be positive integers');
+    }
+
+    const maxDimensions = this.config.assets.maxImageDimensions;
+    if (maxDimensions !== null && (typeof maxDimensions !== 'object' ||
+        !['width', 'height'].every(side => maxDimensions[side] === undefined || maxDimensions[side] > 0) ||
+        !(maxDimensions.width || maxDimensions.height))) {
+      errors.push('maxImageDimensions must have a positive width and/or height');
+    }
+
+    if (this.config.output.harMaxBodySize < 0) {
+      errors.push('harMaxBodySize cannot be negative');
+    }
+    
+    if (this.config.browser.pageTimeout < 1000 || this.config.browser.pageTimeout > 300000) {
+      errors.push('pageTimeout must be between 1000 and 300000 ms');
+    }
+    
+    if (this.config.browser.viewportWidth < 1 || this.config.browser.viewportWidth > 10000 ||
+        this.config.browser.viewportHeight < 1 || this.config.browser.viewportHeight > 10000) {
+      errors.push('viewportWidth and viewportHeight must be between 1 and 10000');
+    }
+    
     // Validate file paths
     if (this.config.output.outputDirectory && !path.isAbsolute(this.config.output.outputDirectory)) {
       if (!this.config.output.outputDirectory.startsWith('.')) {
@@ -640,13 +735,15 @@ class ProClonerConfig {
       }
     }
     
-    // Validate URL patterns
-    this.config.filters.urlExcludePatterns.forEach(pattern => {
-      try {
-        new RegExp(pattern);
-      } catch (e) {
-        errors.push(`Invalid URL exclude pattern: ${pattern}`);
-      }
+    // Validate URL patterns - plain patterns are globs, "regex:" ones must compile and be safe to run
+    ['urlIncludePatterns', 'urlExcludePatterns', 'allowedPaths', 'blockedPaths'].forEach(filter => {
+      this.config.filters[filter].forEach(pattern => {
+        try {
+          UrlFilter.compile(pattern);
+        } catch (e) {
+          errors.push(`Invalid pattern in filters.${filter}: ${pattern} (${e.message})`);
+        }
+      });
     });
 
     return {
@@ -658,6 +755,32 @@ class ProClonerConfig {
   /**
    * Utility methods
    */
+  _validateShape(defaults, config, prefix, errors) {
+    for (const key of Object.keys(config)) {
+      const name = prefix ? `${prefix}.${key}` : key;
+      const expected = defaults[key];
+      const actual = config[key];
+      
+      if (!(key in defaults)) {
+        errors.push(`Unknown configuration option: ${name}`);
+      } else if (expected === null) {
+        // Options that default to null accept any value
+      } else if (Array.isArray(expected)) {
+        if (!Array.isArray(actual)) {
+          errors.push(`${name} must be an array`);
+        }
+      } else if (typeof expected === 'object') {
+        if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+          errors.push(`${name} must be an object`);
+        } else if (Object.keys(expected).length > 0) {
+          this._validateShape(expected, actual, name, errors);
+        }
+      } else if (typeof actual !== typeof expected) {
+        errors.push(`${name} must be a ${typeof expected}`);
+      }
+    }
+  }
+
   _mergeConfigs(base, override) {
     const result = { ...base };
     
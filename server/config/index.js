@@ -18,6 +18,8 @@ const config = {
   // Security
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   sessionSecret: process.env.SESSION_SECRET || 'default-session-secret-change-in-production',
+  // Encrypts crawl credentials (cookies, auth) stored with sessions
+  credentialsSecret: process.env.CREDENTIALS_SECRET || process.env.SESSION_SECRET || 'default-session-secret-change-in-production',
   sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 300000,
   
   // Rate Limiting
@@ -41,14 +43,17 @@ const config = {
   // Browser
   browser: {
     headless: process.env.PUPPETEER_HEADLESS !== 'false',
-    timeout: parseInt(process.env.PUPPETEER_TIMEOUT) || 30000
+    timeout: parseInt(process.env.PUPPETEER_TIMEOUT) || 30000,
+    // System Chromium to use instead of Playwright's build (PUPPETEER_EXECUTABLE_PATH still honoured)
+    executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || process.env.PUPPETEER_EXECUTABLE_PATH || undefined
   },
   
   // File Storage
   storage: {
     tempDir: process.env.TEMP_DIR || './temp',
     maxTempAgeHours: parseInt(process.env.MAX_TEMP_AGE_HOURS) || 24,
-    maxTempSizeMB: parseInt(process.env.MAX_TEMP_SIZE_MB) || 1024
+    maxTempSizeMB: parseInt(process.env.MAX_TEMP_SIZE_MB) || 1024,
+    maxHarUploadMB: parseInt(process.env.MAX_HAR_UPLOAD_MB) || 100 // HAR files to clone from
   },
   
   // Security Headers
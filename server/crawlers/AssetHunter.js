@@ -1,31 +1,136 @@
 const fs = require('fs-extra');
 const path = require('path');
 const sharp = require('sharp');
+const { logger } = require('../utils/logger');
+const HtmlProcessor = require('../utils/HtmlProcessor');
+const Glb = require('../utils/Glb');
+
+// Formats sharp can re-encode without losing what the original carried
+const OPTIMIZABLE_IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+// AVIF keeps the same detail at a much lower quality setting
+const ENCODER_OPTIONS = {
+    jpeg: { quality: 85 },
+    png: { compressionLevel: 9, adaptiveFiltering: true },
+    webp: { quality: 85 },
+    avif: { quality: 50 }
+};
+const SERVICE_WORKER_MARKER = 'procloner-sw-registration';
+// Untouched copies of recompressed images, for web archives - PackageBuilder keeps it out of packages
+const ORIGINALS_DIRECTORY = 'originals';
+
+// Extensions whose data needs a decoder at load time
+const COMPRESSION_EXTENSIONS = {
+    KHR_draco_mesh_compression: 'Draco',
+    EXT_meshopt_compression: 'meshopt',
+    KHR_meshopt_compression: 'meshopt',
+    KHR_texture_basisu: 'KTX2'
+};
+const EMBEDDED_IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/ktx2': 'ktx2'
+};
 
 class AssetHunter {
-    constructor(outputDir) {
+    /**
+     * @param {string} outputDir - the session's output directory
+     * @param {Object} options - sessionId, optimizeImages and generateServiceWorker (the clone options),
+     *   convertWebP, convertAVIF, responsiveWidths, maxImageDimensions and extractModelTextures
+     *   (ProClonerConfig.assets),
+     *   buildToolInfo and outputOptions the pages were rewritten with, and
+     *   onProgress({ processed, total, asset }) called as assets are processed
+     */
+    constructor(outputDir, options = {}) {
         this.outputDir = outputDir;
+        this.options = {
+            optimizeImages: false,
+            generateServiceWorker: true,
+            ...options
+        };
+        // The service worker needs scripts, which removeScripts strips from the pages
+        if (this.options.outputOptions?.removeScripts) {
+            this.options.generateServiceWorker = false;
+        }
+        this.onProgress = options.onProgress || (() => {});
         this.processedAssets = new Map();
+        this.stats = { processed: 0, failed: 0, optimizedImages: 0, bytesSaved: 0, imageVariants: 0, extractedTextures: 0 };
+
+        // Variants are only reachable through rewritten <img> tags
+        this.variantFormats = [
+            this.options.convertAVIF && 'avif',
+            this.options.convertWebP && 'webp'
+        ].filter(Boolean);
+        if (this.options.outputOptions?.rewriteLinks === false) {
+            this.variantFormats = [];
+        }
     }
 
-    async processAssets(assets) {
-        console.log(`🔍 Processing ${assets.length} assets...`);
-        
-        for (const asset of assets) {
+    /**
+     * Post-download phase: image metadata (and optimization), 3D model, texture and
+     * script analysis, then asset-manifest.json and the offline service worker
+     * @param {Array} pages - crawled pages ({ url, localPath }) that register the service worker
+     */
+    async processAssets(assets, pages = []) {
+        const downloaded = assets.filter(asset => asset.downloaded && asset.localPath);
+        logger.info('Processing assets', {
+            component: 'AssetHunter',
+            totalAssets: assets.length,
+            downloaded: downloaded.length,
+            optimizeImages: this.options.optimizeImages,
+            variantFormats: this.variantFormats,
+            generateServiceWorker: this.options.generateServiceWorker
+        });
+
+        // Report about every 5% so large sessions don't flood the clients
+        const reportEvery = Math.max(1, Math.floor(downloaded.length / 20));
+        for (const [index, asset] of downloaded.entries()) {
             try {
                 await this.processAsset(asset);
+                this.stats.processed++;
             } catch (error) {
-                console.error(`Error processing asset ${asset.url}:`, error);
+                this.stats.failed++;
+                logger.warn('Error processing asset', {
+                    component: 'AssetHunter',
+                    url: asset.url,
+                    error: error.message
+                });
+            }
+
+            if ((index + 1) % reportEvery === 0 || index + 1 === downloaded.length) {
+                await this.onProgress({ processed: index + 1, total: downloaded.length, asset });
             }
         }
         
+        if (this.stats.imageVariants > 0) {
+            await this.rewriteResponsiveImages(assets, pages);
+        }
+
         // Generate asset manifest
         await this.generateAssetManifest(assets);
         
         // Create service worker for offline functionality
-        await this.generateServiceWorker(assets);
+        if (this.options.generateServiceWorker) {
+            await this.generateServiceWorker(assets, pages);
+            await this.registerServiceWorker(pages);
+        }
         
-        console.log('✅ Asset processing completed');
+        logger.info('Asset processing completed', {
+            component: 'AssetHunter',
+            ...this.stats
+        });
+
+        // What the model audit in the results panel lists
+        const models = assets
+            .filter(asset => asset.type === '3d-model' && asset.metadata)
+            .map(asset => ({
+                url: asset.url,
+                localPath: path.relative(this.outputDir, asset.localPath),
+                metadata: asset.metadata
+            }));
+
+        return { ...this.stats, serviceWorker: this.options.generateServiceWorker, models };
     }
 
     async processAsset(asset) {
@@ -49,6 +154,13 @@ class AssetHunter {
             case 'stylesheet':
                 await this.processStylesheet(asset);
                 break;
+            case 'other':
+                // Models served from extensionless URLs are only recognisable by their header
+                if (await Glb.isGlbFile(asset.localPath)) {
+                    asset.type = '3d-model';
+                    await this.process3DModel(asset);
+                }
+                break;
             default:
                 // No special processing needed
                 break;
@@ -60,34 +172,186 @@ class AssetHunter {
     async processImage(asset) {
         try {
             const inputPath = asset.localPath;
-            const outputDir = path.dirname(inputPath);
-            const filename = path.basename(inputPath, path.extname(inputPath));
-            const ext = path.extname(inputPath);
             
-            // Get image metadata
+            // Get image metadata - sizes as displayed, after EXIF rotation
             const metadata = await sharp(inputPath).metadata();
+            const { width, height } = this.uprightDimensions(metadata);
             asset.metadata = {
-                width: metadata.width,
-                height: metadata.height,
-                format: metadata.format,
+                width,
+                height,
+                format: this.imageFormat(metadata),
                 size: metadata.size
             };
             
-            // Create optimized versions for web
-            if (metadata.width > 1920) {
-                const optimizedPath = path.join(outputDir, `${filename}_optimized${ext}`);
-                await sharp(inputPath)
-                    .resize(1920, null, { withoutEnlargement: true })
-                    .jpeg({ quality: 85 })
-                    .toFile(optimizedPath);
-                
-                asset.optimizedPath = optimizedPath;
+            if (this.options.optimizeImages) {
+                await this.optimizeImage(asset, metadata);
+            }
+
+            // Textures go through here too, but only page images can be swapped for variants
+            if (asset.type === 'image' && this.variantFormats.length > 0) {
+                await this.generateImageVariants(asset);
             }
             
-            console.log(`🖼️  Processed image: ${filename}${ext} (${metadata.width}x${metadata.height})`);
+            logger.debug('Processed image', {
+                component: 'AssetHunter',
+                file: path.basename(inputPath),
+                width: asset.metadata.width,
+                height: asset.metadata.height,
+                variants: asset.variants ? asset.variants.length : 0
+            });
             
         } catch (error) {
-            console.error(`Error processing image ${asset.url}:`, error);
+            logger.warn('Error processing image', {
+                component: 'AssetHunter',
+                url: asset.url,
+                error: error.message
+            });
+        }
+    }
+
+    // Recompress in place (scaled down to fit maxImageDimensions), keeping the format so page
+    // references stay valid - only when it actually makes the file smaller. The downloaded
+    // file is kept under originals/ as asset.originalPath
+    async optimizeImage(asset, metadata) {
+        const format = this.imageFormat(metadata);
+        // Animated images would lose every frame but the first
+        if (!OPTIMIZABLE_IMAGE_FORMATS.includes(format) || metadata.pages > 1) {
+            return;
+        }
+
+        const original = await fs.readFile(asset.localPath);
+        const fitted = this.fitImageDimensions(metadata);
+        let pipeline = sharp(original).rotate();
+        if (fitted.width < this.uprightDimensions(metadata).width) {
+            pipeline = pipeline.resize(fitted.width);
+        }
+
+        const { data: optimized, info } = await pipeline
+            .toFormat(format, ENCODER_OPTIONS[format])
+            .toBuffer({ resolveWithObject: true });
+
+        if (optimized.length >= original.length) {
+            return;
+        }
+
+        const originalPath = path.join(
+            this.outputDir,
+            ORIGINALS_DIRECTORY,
+            path.relative(this.outputDir, path.resolve(this.outputDir, asset.localPath))
+        );
+        await fs.outputFile(originalPath, original);
+        await fs.writeFile(asset.localPath, optimized);
+        asset.originalPath = originalPath;
+        asset.metadata = { ...asset.metadata, width: info.width, height: info.height, size: optimized.length };
+        asset.optimization = { originalSize: original.length, optimizedSize: optimized.length };
+        asset.size = optimized.length;
+        this.stats.optimizedImages++;
+        this.stats.bytesSaved += original.length - optimized.length;
+    }
+
+    // WebP/AVIF copies of an image at its full width and every smaller responsiveWidths width,
+    // plus downscaled copies in its own format - written next to it for
+    // HtmlProcessor.rewriteResponsiveImages to offer through <picture> and srcset
+    async generateImageVariants(asset) {
+        const original = await fs.readFile(asset.localPath);
+        // Read again - optimizeImage may have just rotated and scaled the file
+        const metadata = await sharp(original).metadata();
+        const format = this.imageFormat(metadata);
+        if (!OPTIMIZABLE_IMAGE_FORMATS.includes(format) || metadata.pages > 1) {
+            return;
+        }
+
+        const imageWidth = this.uprightDimensions(metadata).width;
+        const fullWidth = this.fitImageDimensions(metadata).width;
+        const widths = [...new Set([
+            ...(this.options.responsiveWidths || []).filter(width => width < fullWidth),
+            fullWidth
+        ])].sort((a, b) => a - b);
+
+        const variants = [];
+        for (const variantFormat of [...new Set([...this.variantFormats, format])]) {
+            for (const width of widths) {
+                // The image itself is the full-width copy in its own format
+                if (variantFormat === format && width >= imageWidth) {
+                    continue;
+                }
+
+                let pipeline = sharp(original).rotate();
+                if (width < imageWidth) {
+                    pipeline = pipeline.resize(width);
+                }
+                const { data, info } = await pipeline
+                    .toFormat(variantFormat, ENCODER_OPTIONS[variantFormat])
+                    .toBuffer({ resolveWithObject: true });
+
+                // A copy bigger than the image it stands in for would make pages heavier
+                if (data.length >= original.length) {
+                    continue;
+                }
+
+                const variantPath = `${asset.localPath}-${info.width}w.${variantFormat}`;
+                await fs.writeFile(variantPath, data);
+                variants.push({
+                    format: variantFormat,
+                    width: info.width,
+                    height: info.height,
+                    size: data.length,
+                    localPath: variantPath
+                });
+            }
+        }
+
+        asset.variants = variants;
+        this.stats.imageVariants += variants.length;
+    }
+
+    // sharp reports AVIF files as HEIF with AV1 compression
+    imageFormat(metadata) {
+        return metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+    }
+
+    uprightDimensions({ width, height, orientation }) {
+        return orientation >= 5 ? { width: height, height: width } : { width, height };
+    }
+
+    // Upright size once scaled down to fit maxImageDimensions - unscaled when there are none
+    fitImageDimensions(metadata) {
+        const { width, height } = this.uprightDimensions(metadata);
+        const { width: maxWidth = Infinity, height: maxHeight = Infinity } =
+            this.options.maxImageDimensions || {};
+        const scale = Math.min(1, maxWidth / width, maxHeight / height);
+        return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    }
+
+    // Second pass over the pages HtmlProcessor already rewrote, pointing their <img> tags at the variants
+    async rewriteResponsiveImages(assets, pages) {
+        const htmlProcessor = new HtmlProcessor(
+            this.outputDir,
+            new Map(assets.map(asset => [asset.url, asset])),
+            this.options.buildToolInfo,
+            new Map(),
+            this.options.outputOptions
+        );
+
+        for (const page of pages) {
+            if (!page.localPath) {
+                continue;
+            }
+
+            const pagePath = path.resolve(this.outputDir, page.localPath);
+            try {
+                const html = await fs.readFile(pagePath, 'utf8');
+                const updated = htmlProcessor.rewriteResponsiveImages(html, pagePath);
+                if (updated !== html) {
+                    await fs.writeFile(pagePath, updated);
+                }
+            } catch (error) {
+                logger.debug('Failed to rewrite responsive images in page', {
+                    component: 'AssetHunter',
+                    url: page.url,
+                    error: error.message
+                });
+            }
         }
     }
 
@@ -100,16 +364,190 @@ class AssetHunter {
                 size: stats.size,
                 format: path.extname(inputPath).toLowerCase()
             };
-            
-            // For GLB/GLTF files, we could extract embedded textures
-            // This would require a GLTF parser library
-            console.log(`🎮 Processed 3D model: ${path.basename(inputPath)} (${(stats.size / 1024 / 1024).toFixed(2)}MB)`);
+
+            if (asset.metadata.format === '.gltf') {
+                const gltf = await fs.readJson(inputPath);
+                Object.assign(asset.metadata, this.describeGltf(gltf));
+                await this.inspectGltf(asset, gltf);
+            } else if (await Glb.isGlbFile(inputPath)) {
+                const { gltf, bin } = Glb.parse(await fs.readFile(inputPath));
+                Object.assign(asset.metadata, { container: 'glb' }, this.describeGltf(gltf));
+                await this.inspectGltf(asset, gltf);
+                if (this.options.extractModelTextures) {
+                    await this.extractGlbTextures(asset, gltf, bin);
+                }
+            }
+
+            logger.debug('Processed 3D model', {
+                component: 'AssetHunter',
+                file: path.basename(inputPath),
+                sizeMB: (stats.size / 1024 / 1024).toFixed(2),
+                meshes: asset.metadata.meshes,
+                vertices: asset.metadata.vertices,
+                compression: asset.metadata.compression
+            });
             
         } catch (error) {
-            console.error(`Error processing 3D model ${asset.url}:`, error);
+            // Shown in the model audit - a truncated or corrupt model won't load in the clone either
+            if (asset.metadata) {
+                asset.metadata.error = error.message;
+            }
+            logger.warn('Error processing 3D model', {
+                component: 'AssetHunter',
+                url: asset.url,
+                error: error.message
+            });
+        }
+    }
+
+    // Buffers and images a glTF model refers to - SmartCrawler saved them at their relative URIs,
+    // so any that aren't there would leave the cloned scene without geometry or textures
+    async inspectGltf(asset, gltf) {
+        const references = [
+            ...(gltf.buffers || []).map(buffer => buffer.uri),
+            ...(gltf.images || []).map(image => image.uri)
+        ].filter(Boolean);
+
+        const external = references.filter(uri => !/^data:/i.test(uri));
+        const missing = [];
+        for (const uri of external) {
+            // Absolute URLs are loaded from the network either way
+            if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(uri)) {
+                continue;
+            }
+
+            let dependencyPath;
+            try {
+                dependencyPath = path.resolve(path.dirname(asset.localPath), decodeURIComponent(uri.split(/[?#]/)[0]));
+            } catch (error) {
+                dependencyPath = null;
+            }
+            if (!dependencyPath || !(await fs.pathExists(dependencyPath))) {
+                missing.push(uri);
+            }
+        }
+
+        // Data URIs, and images packed into a buffer (the BIN chunk of a .glb)
+        const bufferViewImages = (gltf.images || []).filter(image => Number.isInteger(image.bufferView));
+        asset.metadata.dependencies = {
+            external: external.length,
+            embedded: references.length - external.length + bufferViewImages.length,
+            missing
+        };
+
+        if (missing.length > 0) {
+            logger.warn('glTF model is missing dependencies', {
+                component: 'AssetHunter',
+                url: asset.url,
+                missing
+            });
         }
     }
 
+    // Scene contents for the model audit - the same JSON describes .gltf files and .glb containers
+    describeGltf(gltf) {
+        const meshes = gltf.meshes || [];
+        const primitives = meshes.flatMap(mesh => mesh.primitives || []);
+        const accessors = gltf.accessors || [];
+        const count = index => (Number.isInteger(index) && accessors[index] && accessors[index].count) || 0;
+
+        // Primitives sharing a POSITION accessor share their vertices
+        const positions = new Set(primitives
+            .map(primitive => primitive.attributes && primitive.attributes.POSITION)
+            .filter(Number.isInteger));
+        const vertices = [...positions].reduce((sum, index) => sum + count(index), 0);
+
+        const triangles = primitives.reduce((sum, primitive) => {
+            const points = Number.isInteger(primitive.indices)
+                ? count(primitive.indices)
+                : count(primitive.attributes && primitive.attributes.POSITION);
+            const mode = primitive.mode === undefined ? 4 : primitive.mode;
+            if (mode === 4) return sum + Math.floor(points / 3);
+            if (mode === 5 || mode === 6) return sum + Math.max(0, points - 2);
+            return sum; // Points and lines
+        }, 0);
+
+        const extensionsUsed = gltf.extensionsUsed || [];
+        return {
+            version: gltf.asset && gltf.asset.version,
+            generator: gltf.asset && gltf.asset.generator,
+            scenes: (gltf.scenes || []).length,
+            nodes: (gltf.nodes || []).length,
+            meshes: meshes.length,
+            primitives: primitives.length,
+            materials: (gltf.materials || []).length,
+            textures: (gltf.textures || []).length,
+            images: (gltf.images || []).length,
+            animations: (gltf.animations || []).length,
+            skins: (gltf.skins || []).length,
+            vertices,
+            triangles,
+            extensionsUsed,
+            extensionsRequired: gltf.extensionsRequired || [],
+            compression: [...new Set(extensionsUsed.map(name => COMPRESSION_EXTENSIONS[name]).filter(Boolean))]
+        };
+    }
+
+    // Images packed into the BIN chunk, written out as standalone files next to the model for review
+    async extractGlbTextures(asset, gltf, bin) {
+        const embedded = (gltf.images || [])
+            .map((image, index) => ({ image, index }))
+            .filter(({ image }) => Number.isInteger(image.bufferView));
+        if (embedded.length === 0 || !bin) {
+            return;
+        }
+
+        const modelPath = asset.localPath;
+        const texturesDir = path.join(
+            path.dirname(modelPath),
+            `${path.basename(modelPath, path.extname(modelPath))}-textures`
+        );
+        const extracted = [];
+
+        for (const { image, index } of embedded) {
+            const bufferView = (gltf.bufferViews || [])[image.bufferView];
+            // Only buffer 0 without a uri is the BIN chunk
+            if (!bufferView || (bufferView.buffer || 0) !== 0 || (gltf.buffers?.[0] || {}).uri !== undefined) {
+                continue;
+            }
+
+            const start = bufferView.byteOffset || 0;
+            const end = start + bufferView.byteLength;
+            if (end > bin.length) {
+                logger.debug('Embedded texture runs past the BIN chunk', {
+                    component: 'AssetHunter',
+                    url: asset.url,
+                    image: index
+                });
+                continue;
+            }
+
+            const name = image.name ? `${index}-${image.name.replace(/[^a-z0-9_-]+/gi, '_').slice(0, 64)}` : String(index);
+            const texturePath = path.join(texturesDir, `${name}.${EMBEDDED_IMAGE_EXTENSIONS[image.mimeType] || 'bin'}`);
+            try {
+                await fs.ensureDir(texturesDir);
+                await fs.writeFile(texturePath, bin.subarray(start, end));
+                extracted.push({
+                    image: index,
+                    name: image.name || null,
+                    mimeType: image.mimeType || null,
+                    size: end - start,
+                    localPath: path.relative(this.outputDir, texturePath)
+                });
+            } catch (error) {
+                logger.debug('Failed to extract embedded texture', {
+                    component: 'AssetHunter',
+                    url: asset.url,
+                    image: index,
+                    error: error.message
+                });
+            }
+        }
+
+        asset.metadata.extractedTextures = extracted;
+        this.stats.extractedTextures += extracted.length;
+    }
+
     async processTexture(asset) {
         try {
             // Textures are essentially images, so use similar processing
@@ -119,10 +557,18 @@ class AssetHunter {
             const filename = path.basename(asset.localPath).toLowerCase();
             asset.textureType = this.identifyTextureType(filename);
             
-            console.log(`🎨 Processed texture: ${filename} (${asset.textureType})`);
+            logger.debug('Processed texture', {
+                component: 'AssetHunter',
+                file: filename,
+                textureType: asset.textureType
+            });
             
         } catch (error) {
-            console.error(`Error processing texture ${asset.url}:`, error);
+            logger.warn('Error processing texture', {
+                component: 'AssetHunter',
+                url: asset.url,
+                error: error.message
+            });
         }
     }
 
@@ -151,10 +597,18 @@ class AssetHunter {
             const frameworks = this.detect3DFrameworks(content);
             asset.frameworks = frameworks;
             
-            console.log(`📜 Processed JavaScript: ${path.basename(asset.localPath)} (${frameworks.join(', ')})`);
+            logger.debug('Processed JavaScript', {
+                component: 'AssetHunter',
+                file: path.basename(asset.localPath),
+                frameworks
+            });
             
         } catch (error) {
-            console.error(`Error processing JavaScript ${asset.url}:`, error);
+            logger.warn('Error processing JavaScript', {
+                component: 'AssetHunter',
+                url: asset.url,
+                error: error.message
+            });
         }
     }
 
@@ -210,10 +664,17 @@ class AssetHunter {
             const assetReferences = this.extractCSSAssetReferences(content);
             asset.referencedAssets = assetReferences;
             
-            console.log(`🎨 Processed stylesheet: ${path.basename(asset.localPath)}`);
+            logger.debug('Processed stylesheet', {
+                component: 'AssetHunter',
+                file: path.basename(asset.localPath)
+            });
             
         } catch (error) {
-            console.error(`Error processing stylesheet ${asset.url}:`, error);
+            logger.warn('Error processing stylesheet', {
+                component: 'AssetHunter',
+                url: asset.url,
+                error: error.message
+            });
         }
     }
 
@@ -242,7 +703,13 @@ class AssetHunter {
                 size: asset.size,
                 downloaded: asset.downloaded,
                 localPath: asset.localPath ? path.relative(this.outputDir, asset.localPath) : null,
+                originalPath: asset.originalPath ? path.relative(this.outputDir, asset.originalPath) : undefined,
                 metadata: asset.metadata,
+                optimization: asset.optimization,
+                variants: asset.variants && asset.variants.map(variant => ({
+                    ...variant,
+                    localPath: path.relative(this.outputDir, variant.localPath)
+                })),
                 frameworks: asset.frameworks,
                 textureType: asset.textureType
             }))
@@ -256,25 +723,36 @@ class AssetHunter {
         const manifestPath = path.join(this.outputDir, 'asset-manifest.json');
         await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
         
-        console.log('📋 Generated asset manifest');
+        logger.info('Generated asset manifest', { component: 'AssetHunter', manifestPath });
     }
 
-    async generateServiceWorker(assets) {
+    async generateServiceWorker(assets, pages = []) {
+        // Paths relative to sw.js, which sits at the site root
+        const toUrl = localPath => encodeURI(
+            path.relative(this.outputDir, path.resolve(this.outputDir, localPath)).split(path.sep).join('/')
+        );
         const assetUrls = assets
             .filter(asset => asset.downloaded && asset.localPath)
-            .map(asset => path.relative(this.outputDir, asset.localPath));
+            .flatMap(asset => [asset.localPath, ...(asset.variants || []).map(variant => variant.localPath)])
+            .map(toUrl);
+        const pageUrls = pages
+            .filter(page => page.localPath)
+            .map(page => toUrl(page.localPath));
         
+        // A re-clone served from the same origin must not keep answering from the last one's cache
+        const cacheName = `procloner-${this.options.sessionId || Date.now()}`;
+
         const serviceWorkerContent = `
 // ProCloner Generated Service Worker
-const CACHE_NAME = 'procloner-site-v1';
-const urlsToCache = ${JSON.stringify(['/', ...assetUrls], null, 2)};
+const CACHE_NAME = ${JSON.stringify(cacheName)};
+const urlsToCache = ${JSON.stringify([...new Set(['./', ...pageUrls, ...assetUrls])], null, 2)};
 
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
-                console.log('Opened cache');
-                return cache.addAll(urlsToCache);
+                // One missing file shouldn't keep everything else from being cached
+                return Promise.all(urlsToCache.map((url) => cache.add(url).catch(() => null)));
             })
     );
 });
@@ -307,7 +785,40 @@ self.addEventListener('activate', (event) => {
         const swPath = path.join(this.outputDir, 'sw.js');
         await fs.writeFile(swPath, serviceWorkerContent);
         
-        console.log('⚙️  Generated service worker for offline functionality');
+        logger.info('Generated service worker for offline functionality', {
+            component: 'AssetHunter',
+            cachedUrls: pageUrls.length + assetUrls.length
+        });
+    }
+
+    // Service workers only run over http(s), so opening the clone from disk is unaffected
+    async registerServiceWorker(pages) {
+        for (const page of pages) {
+            if (!page.localPath) {
+                continue;
+            }
+
+            const pagePath = path.resolve(this.outputDir, page.localPath);
+            try {
+                const html = await fs.readFile(pagePath, 'utf8');
+                if (html.includes(SERVICE_WORKER_MARKER)) {
+                    continue;
+                }
+
+                const swUrl = path.relative(path.dirname(pagePath), path.join(this.outputDir, 'sw.js')).split(path.sep).join('/');
+                const script = `<script id="${SERVICE_WORKER_MARKER}">if ('serviceWorker' in navigator && location.protocol.indexOf('http') === 0) { navigator.serviceWorker.register('${swUrl}'); }</script>`;
+                const updated = /<\/body>/i.test(html)
+                    ? html.replace(/<\/body>/i, `${script}\n</body>`)
+                    : `${html}\n${script}`;
+                await fs.writeFile(pagePath, updated);
+            } catch (error) {
+                logger.debug('Failed to register service worker in page', {
+                    component: 'AssetHunter',
+                    url: page.url,
+                    error: error.message
+                });
+            }
+        }
     }
 }
 
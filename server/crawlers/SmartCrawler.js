@@ -1,4 +1,3 @@
-const puppeteer = require("puppeteer");
 const fs = require("fs-extra");
 const path = require("path");
 const { URL } = require("url");
@@ -10,30 +9,121 @@ const HtmlProcessor = require('../utils/HtmlProcessor');
 const RetryManager = require('../utils/RetryManager');
 const AdvancedUrlResolver = require('../utils/AdvancedUrlResolver');
 const CacheManager = require('../utils/CacheManager');
+const ProClonerConfig = require('../config/ProClonerConfig');
+const RobotsTxt = require('../utils/RobotsTxt');
+const Sitemap = require('../utils/Sitemap');
+const UrlFilter = require('../utils/UrlFilter');
+const { launchBrowser, resolveViewports } = require('../utils/BrowserDriver');
+const Credentials = require('../utils/Credentials');
+const InteractionSteps = require('../utils/InteractionSteps');
+const HarRecorder = require('../utils/HarRecorder');
+const ApiRecorder = require('../utils/ApiRecorder');
+const Srcset = require('../utils/Srcset');
+const Glb = require('../utils/Glb');
+
+// Sent with asset downloads unless the crawl config overrides the user agent
+const DEFAULT_USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36";
+
+// What DRACOLoader and KTX2Loader fetch from their decoder path - draco_decoder.js is the
+// fallback for browsers without WebAssembly
+const DECODER_FILES = {
+  draco: ['draco_decoder.wasm', 'draco_wasm_wrapper.js', 'draco_decoder.js'],
+  basis: ['basis_transcoder.wasm', 'basis_transcoder.js']
+};
+// glTF extensions whose data only those decoders can read. Meshopt needs nothing fetched:
+// MeshoptDecoder carries its WebAssembly inline, so it arrives with the script bundles
+const DECODER_EXTENSIONS = {
+  KHR_draco_mesh_compression: 'draco',
+  KHR_texture_basisu: 'basis'
+};
+const DECODER_PATH_PATTERNS = [
+  { kind: 'draco', pattern: /\.setDecoderPath\(\s*(["'`])([^"'`$]*)\1\s*\)/g },
+  { kind: 'basis', pattern: /\.setTranscoderPath\(\s*(["'`])([^"'`$]*)\1\s*\)/g },
+  // <model-viewer> settings
+  { kind: 'draco', pattern: /dracoDecoderLocation\s*=\s*(["'`])([^"'`$]+)\1/g },
+  { kind: 'basis', pattern: /ktx2TranscoderLocation\s*=\s*(["'`])([^"'`$]+)\1/g }
+];
 
 class SmartCrawler {
   constructor(options = {}) {
     this.outputDir = options.outputDir;
     this.onProgress = options.onProgress || (() => {});
     this.onAssetFound = options.onAssetFound || (() => {});
+    this.onPageCrawled = options.onPageCrawled || (() => {});
+    this.onCheckpoint = options.onCheckpoint || (() => {});
+    this.onPaused = options.onPaused || (() => {});
+    this.onStepCompleted = options.onStepCompleted || (() => {});
     this.visitedUrls = new Set();
     this.discoveredAssets = new Map();
     this.savedPages = new Map(); // Store page URL -> file path mapping
     this.browser = null;
     this.page = null;
-    this.timeout = options.timeout || 120000; // Default 2 minute timeout
+
+    // Session crawl settings (ProClonerConfig profile + overrides), defaults when not given
+    this.crawlConfig = options.crawlConfig || new ProClonerConfig().config;
+    const { general, network, cache, output } = this.crawlConfig;
+
+    // Primary viewport (HTML is saved from it) plus extra viewports that only add assets
+    this.viewportProfiles = resolveViewports(this.crawlConfig.browser);
+    this.viewportPages = []; // { profile, page } for each extra viewport
+    this.credentials = options.credentials || null; // Decrypted cookies/auth for sites behind a login
+    this.steps = options.steps || {}; // Scripted interaction steps: { beforeCrawl, everyPage }
+    this.baseline = options.baseline || null; // UpdateBaseline of a previous session, in update mode
+    this.harArchive = options.harArchive || null; // Recorded traffic to clone from instead of the network
+    this.userAgent = this.crawlConfig.browser.userAgentOverride ||
+      this.viewportProfiles[0].userAgent ||
+      DEFAULT_USER_AGENT;
+    
+    // Crawl frontier - pages waiting to be visited, breadth-first
+    this.frontier = []; // Array of { url, depth }
+    this.queuedUrls = new Set(); // Every URL ever enqueued, to avoid duplicates
+    this.pageDepths = new Map(); // Store page URL -> link depth from the start page
+    this.maxDepth = options.depth || general.maxDepth;
+    this.maxFiles = options.maxFiles || general.maxFiles; // Pages + assets before the frontier stops
+    // Time budget for page crawling (ms) - config is in seconds and can't outlast the session
+    this.maxTime = options.maxTime || Math.min(general.maxTime * 1000, config.crawling.sessionTimeoutMs);
     this.lastProgressUpdate = Date.now();
     this.detectedBuildTool = null;
     this.pathMappings = new Map(); // Store detected path mappings
+
+    // Pause/cancel control - checked between pages and between download batches
+    this.paused = false;
+    this.cancelled = false;
+    this.pauseGate = null; // Resolves when a paused crawl is resumed
+    this.releasePause = null;
+    this.pausedTime = 0; // Time spent paused doesn't count against maxTime
+    this.activeDownloads = new Set(); // AbortControllers of in-flight fetches
+
+    // robots.txt compliance - rules are fetched once per origin
+    this.robotsRules = new Map(); // origin -> Promise<RobotsTxt>
+    this.skippedUrls = new Map(); // URL -> why it was left out (robots.txt or a URL filter)
+    this.urlFilter = new UrlFilter(this.crawlConfig.filters);
+
+    // Every request the browser pages make, saved as a HAR next to the output. Logged-in
+    // crawls keep their secrets out of it, like they do everywhere else on disk
+    this.harPath = path.join(this.outputDir, 'crawl.har');
+    this.harRecorder = output.captureHar
+      ? new HarRecorder({
+        includeBodies: output.harIncludeBodies,
+        maxBodySize: output.harMaxBodySize,
+        redact: Boolean(this.credentials || this.steps.beforeCrawl?.length)
+      })
+      : null;
+
+    // Same-origin XHR/fetch responses, replayed in the clone by a shim - created once the start URL is known
+    this.apiMocksDir = path.join(this.outputDir, 'api-mocks');
+    this.apiRecorder = null;
     
     // HTTrack-style enhancements
     this.retryManager = new RetryManager({
-      maxRetries: options.maxRetries || 3,
-      baseDelay: options.baseDelay || 1000,
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : network.retryAttempts,
+      baseDelay: options.baseDelay || network.retryDelay,
       maxDelay: options.maxDelay || 30000,
       enableRateLimit: options.enableRateLimit !== false,
-      requestsPerSecond: options.requestsPerSecond || 8,
-      concurrentRequests: options.concurrentRequests || 5
+      requestsPerSecond: options.requestsPerSecond || network.requestsPerSecond,
+      concurrentRequests: options.concurrentRequests || network.maxConcurrentConnections,
+      connectTimeout: network.connectionTimeout,
+      readTimeout: network.readTimeout
     });
     
     this.urlResolver = new AdvancedUrlResolver({
@@ -42,11 +132,13 @@ class SmartCrawler {
       preserveFragment: false
     });
     
+    this.cacheEnabled = cache.enableCaching;
+    this.cacheTtl = cache.cacheExpiration * 1000; // Config is in seconds
     this.cacheManager = new CacheManager({
-      cacheDir: path.join(this.outputDir, '.cache'),
-      maxCacheSize: options.maxCacheSize || 512 * 1024 * 1024, // 512MB
-      enableCompression: true,
-      enableIntegrityCheck: true
+      cacheDir: path.join(this.outputDir, cache.cacheDirectory),
+      maxCacheSize: options.maxCacheSize || cache.maxCacheSize,
+      enableCompression: cache.cacheCompression,
+      enableIntegrityCheck: cache.cacheIntegrityCheck
     });
     
     // Enhanced error tracking
@@ -63,11 +155,40 @@ class SmartCrawler {
 
   async crawl(url, options = {}) {
     try {
-      logger.info('Starting smart crawl', { url, component: 'SmartCrawler' });
+      if (options.depth) {
+        this.maxDepth = options.depth;
+      }
+
+      logger.info('Starting smart crawl', {
+        url,
+        component: 'SmartCrawler',
+        browserType: this.crawlConfig.browser.browserType,
+        viewports: this.viewportProfiles.map((profile) => profile.name),
+        maxDepth: this.maxDepth,
+        maxFiles: this.maxFiles
+      });
 
-      // Launch browser with resource limits
-      this.browser = await puppeteer.launch({
-        headless: config.browser.headless ? "new" : false,
+      if (this.crawlConfig.crawling.discoverAPIEndpoints) {
+        this.apiRecorder = new ApiRecorder({
+          origin: new URL(url).origin,
+          redact: Boolean(this.credentials || this.steps.beforeCrawl?.length)
+        });
+      }
+
+      // A resumed crawl adds to the HAR and API recordings made before it was interrupted
+      if (this.savedPages.size > 0) {
+        if (this.harRecorder) {
+          await this.harRecorder.load(this.harPath);
+        }
+        if (this.apiRecorder) {
+          await this.apiRecorder.load(this.apiMocksDir);
+        }
+      }
+
+      // Launch the configured engine with resource limits
+      this.browser = await launchBrowser({
+        browserType: this.crawlConfig.browser.browserType,
+        headless: config.browser.headless,
         args: [
           "--no-sandbox",
           "--disable-setuid-sandbox",
@@ -77,60 +198,111 @@ class SmartCrawler {
           "--disable-renderer-backgrounding",
           "--disable-backgrounding-occluded-windows"
         ],
-        timeout: config.browser.timeout
+        timeout: config.browser.timeout,
+        executablePath: config.browser.executablePath
       });
 
-      this.page = await this.browser.newPage();
+      // Set viewport (or emulated device) for consistent rendering and resource limits
+      const [primaryProfile, ...extraProfiles] = this.viewportProfiles;
+      this.page = await this.openViewportPage(primaryProfile);
 
-      // Set up network monitoring
-      await this.setupNetworkMonitoring();
+      // Extra viewports get their own pages, so responsive assets are captured for every breakpoint
+      for (const profile of extraProfiles) {
+        this.viewportPages.push({ profile, page: await this.openViewportPage(profile) });
+      }
 
-      // Set viewport for consistent rendering and resource limits
-      await this.page.setViewport({ width: 1920, height: 1080 });
-      
-      // Set page timeout
-      await this.page.setDefaultTimeout(config.browser.timeout);
-      
-      // Block unnecessary resource types to save bandwidth
-      await this.page.setRequestInterception(true);
+      // Scripted steps (login, consent) run once before any page is crawled - also on resume,
+      // as the browser starts out logged out again
+      if (this.steps.beforeCrawl?.length > 0) {
+        await this.runBeforeCrawlSteps(url);
+      }
+
+      // Navigate to the main page, unless a restored checkpoint already covers it
+      let startLinks = [];
+      if (!this.visitedUrls.has(url)) {
+        startLinks = await this.crawlPage(url, 0);
 
-      // Navigate to the main page
-      await this.crawlPage(url, options);
+        // Sitemap pages join the start page's links, so they're filtered and depth-limited the same way
+        if (this.crawlConfig.crawling.useSitemaps && !this.cancelled) {
+          startLinks = startLinks.concat(await this.discoverSitemapUrls(url));
+        }
 
-      // Detect build tool and common path patterns
-      await this.detectBuildToolAndPaths(url);
+        // Detect build tool and common path patterns
+        if (this.crawlConfig.advanced.detectBuildTools) {
+          await this.detectBuildToolAndPaths(url);
+        }
+      }
 
-      // Discover additional pages if SPA
-      await this.discoverSPARoutes(url);
+      // Follow same-site links breadth-first up to the requested depth
+      await this.crawlFrontier(url, startLinks);
 
       // Process all discovered assets
       const downloadResult = await this.downloadAssets();
 
       // Recursive asset discovery - find assets that were missed
-      const additionalAssets = await this.performRecursiveDiscovery();
+      const additionalAssets = this.cancelled ? 0 : await this.performRecursiveDiscovery();
       
       // Download any newly discovered assets
-      if (additionalAssets.length > 0) {
+      if (additionalAssets > 0) {
         logger.info('Downloading additional discovered assets', {
           component: 'SmartCrawler',
-          additionalAssets: additionalAssets.length
+          additionalAssets
         });
         
-        const additionalDownloadResult = await this.downloadAssets();
-        downloadResult.downloaded += additionalDownloadResult.downloaded;
-        downloadResult.failed += additionalDownloadResult.failed;
-        downloadResult.total += additionalDownloadResult.total;
+        this.addDownloadResult(downloadResult, await this.downloadAssets());
       }
 
+      // After the round above, which may have fetched more models and scripts
+      const gltfDependencies = this.cancelled ? 0 : await this.discoverGltfDependencies();
+      const decoderFiles = this.cancelled ? 0 : await this.discoverDecoderFiles(url);
+      if (gltfDependencies > 0 || decoderFiles > 0) {
+        logger.info('Downloading glTF buffers, textures and decoders', {
+          component: 'SmartCrawler',
+          gltfDependencies,
+          decoderFiles
+        });
+
+        this.addDownloadResult(downloadResult, await this.downloadAssets());
+      }
+
+      // A pause requested during the last batch still takes effect before post-processing
+      await this.waitIfPaused();
+
       // Process HTML files to rewrite asset URLs after downloads are complete
       await this.processHtmlFiles();
 
+      // A cancelled crawl keeps what was saved so far, with links rewritten
+      if (this.cancelled) {
+        logger.info('Crawl cancelled, partial output kept', {
+          component: 'SmartCrawler',
+          pagesVisited: this.visitedUrls.size,
+          downloaded: downloadResult.downloaded,
+          total: downloadResult.total
+        });
+
+        return {
+          success: false,
+          cancelled: true,
+          assetsFound: this.discoveredAssets.size,
+          pagesVisited: this.visitedUrls.size,
+          downloadStats: downloadResult,
+          errorReport: this.getErrorReport(),
+        };
+      }
+
+      // Update mode: what was added, changed or removed since the baseline session
+      const changeSummary = this.baseline
+        ? await this.baseline.summarize(this.savedPages, this.discoveredAssets)
+        : null;
+
       logger.info('Crawl completed successfully', {
         component: 'SmartCrawler',
         assetsFound: this.discoveredAssets.size,
         pagesVisited: this.visitedUrls.size,
         downloaded: downloadResult.downloaded,
         failed: downloadResult.failed,
+        skipped: downloadResult.skipped,
+        blocked: downloadResult.blocked,
         total: downloadResult.total
       });
 
@@ -139,6 +311,8 @@ class SmartCrawler {
         assetsFound: this.discoveredAssets.size,
         pagesVisited: this.visitedUrls.size,
         downloadStats: downloadResult,
+        errorReport: this.getErrorReport(),
+        changeSummary,
       };
     } catch (error) {
       logger.error('Crawling failed', {
@@ -154,37 +328,269 @@ class SmartCrawler {
         error: error.message,
         assetsFound: this.discoveredAssets.size,
         pagesVisited: this.visitedUrls.size,
+        errorReport: this.getErrorReport(),
       };
     } finally {
       await this.cleanup();
     }
   }
 
-  async setupNetworkMonitoring() {
-    // Request interception was already enabled in crawl method
-    
-    this.page.on("request", (request) => {
-      const resourceType = request.resourceType();
-      const url = request.url();
-      
+  // Hold the crawl at the next page or download batch; state is checkpointed once it stops
+  pause() {
+    if (this.paused || this.cancelled) {
+      return false;
+    }
+
+    this.paused = true;
+    this.pauseGate = new Promise((resolve) => {
+      this.releasePause = resolve;
+    });
+    logger.info('Crawl pause requested', { component: 'SmartCrawler' });
+    return true;
+  }
+
+  resume() {
+    if (!this.paused) {
+      return false;
+    }
+
+    this.paused = false;
+    this.releasePause();
+    this.pauseGate = null;
+    this.releasePause = null;
+    return true;
+  }
+
+  // Stop the crawl for good. Files already written stay on disk.
+  async cancel() {
+    if (this.cancelled) {
+      return;
+    }
+
+    this.cancelled = true;
+    logger.info('Crawl cancellation requested', {
+      component: 'SmartCrawler',
+      inFlightDownloads: this.activeDownloads.size,
+      pagesRemaining: this.frontier.length
+    });
+
+    // Let a paused crawl run on to its cancellation checks
+    this.resume();
+
+    for (const controller of this.activeDownloads) {
+      controller.abort();
+    }
+
+    // Flush pending response bodies before the browser goes away
+    await this.saveHar();
+
+    try {
+      if (this.browser) {
+        const browser = this.browser;
+        this.browser = null;
+        this.page = null;
+        this.viewportPages = [];
+        await browser.close();
+      }
+    } catch (error) {
+      logger.warn('Browser close error during cancellation', {
+        component: 'SmartCrawler',
+        error: error.message
+      });
+    }
+  }
+
+  // Blocks while paused, after saving a checkpoint and notifying onPaused
+  async waitIfPaused() {
+    if (!this.paused) {
+      return;
+    }
+
+    const pausedAt = Date.now();
+    const pauseGate = this.pauseGate;
+
+    logger.info('Crawl paused', {
+      component: 'SmartCrawler',
+      pagesVisited: this.visitedUrls.size,
+      pagesRemaining: this.frontier.length
+    });
+
+    const checkpoint = await this.saveCheckpoint();
+    // Rewriting the whole HAR at every checkpoint would grow with the crawl, so it is only
+    // written here, on cancel and at cleanup - enough for a resumed crawl to load and extend
+    await this.saveHar();
+    try {
+      await this.onPaused(checkpoint);
+    } catch (error) {
+      logger.warn('Pause notification failed', {
+        component: 'SmartCrawler',
+        error: error.message
+      });
+    }
+
+    await pauseGate;
+    this.pausedTime += Date.now() - pausedAt;
+
+    logger.info('Crawl resumed', {
+      component: 'SmartCrawler',
+      cancelled: this.cancelled,
+      pausedSeconds: ((Date.now() - pausedAt) / 1000).toFixed(1)
+    });
+  }
+
+  // Serializable snapshot of the frontier, visited pages and per-asset download state
+  getCheckpoint() {
+    return {
+      savedAt: new Date(),
+      frontier: this.frontier.map((entry) => ({ ...entry })),
+      queuedUrls: Array.from(this.queuedUrls),
+      visitedPages: Array.from(this.pageDepths.entries()).map(([url, depth]) => ({ url, depth })),
+      pages: Array.from(this.savedPages.entries()).map(([url, filePath]) => ({
+        url,
+        depth: this.pageDepths.get(url) || 0,
+        localPath: path.relative(this.outputDir, filePath)
+      })),
+      assets: Array.from(this.discoveredAssets.values()).map((asset) => ({
+        url: asset.url,
+        type: asset.type,
+        source: asset.source,
+        discoveredAt: asset.discoveredAt,
+        downloaded: !!asset.downloaded,
+        downloadedAt: asset.downloadedAt || null,
+        localPath: asset.localPath ? path.relative(this.outputDir, asset.localPath) : null,
+        size: asset.size || 0,
+        contentType: asset.contentType || '',
+        checksum: asset.checksum || null,
+        change: asset.change || null,
+        error: asset.error || null
+      })),
+      buildTool: this.detectedBuildTool,
+      pathMappings: Array.from(this.pathMappings.entries())
+    };
+  }
+
+  // Hand the current checkpoint to onCheckpoint for persisting; returns the checkpoint
+  async saveCheckpoint() {
+    const checkpoint = this.getCheckpoint();
+    try {
+      await this.onCheckpoint(checkpoint);
+    } catch (error) {
+      logger.warn('Failed to save crawl checkpoint', {
+        component: 'SmartCrawler',
+        error: error.message
+      });
+    }
+    return checkpoint;
+  }
+
+  async saveHar() {
+    if (!this.harRecorder) {
+      return;
+    }
+
+    try {
+      await this.harRecorder.save(this.harPath);
+    } catch (error) {
+      logger.warn('HAR save error', {
+        component: 'SmartCrawler',
+        error: error.message
+      });
+    }
+  }
+
+  // Rehydrate crawl state from a checkpoint so only missing pages and assets are fetched.
+  // Returns the restored assets, which replace any asset list the caller kept.
+  restoreCheckpoint(checkpoint) {
+    this.frontier = checkpoint.frontier.map((entry) => ({ ...entry }));
+    this.queuedUrls = new Set(checkpoint.queuedUrls);
+
+    checkpoint.pages.forEach((page) => {
+      this.savedPages.set(page.url, path.join(this.outputDir, page.localPath));
+      this.pageDepths.set(page.url, page.depth);
+      this.visitedUrls.add(page.url);
+    });
+
+    // Pages that failed or were still loading when the checkpoint was taken get another go
+    const unfinishedPages = checkpoint.visitedPages.filter((page) => !this.savedPages.has(page.url));
+    this.frontier.unshift(...unfinishedPages);
+
+    checkpoint.assets.forEach((saved) => {
+      this.discoveredAssets.set(saved.url, {
+        ...saved,
+        discoveredAt: new Date(saved.discoveredAt),
+        downloadedAt: saved.downloadedAt ? new Date(saved.downloadedAt) : undefined,
+        localPath: saved.localPath ? path.join(this.outputDir, saved.localPath) : undefined
+      });
+    });
+
+    this.detectedBuildTool = checkpoint.buildTool || null;
+    this.pathMappings = new Map(checkpoint.pathMappings || []);
+
+    logger.info('Restored crawl checkpoint', {
+      component: 'SmartCrawler',
+      savedAt: checkpoint.savedAt,
+      pagesSaved: this.savedPages.size,
+      pagesRemaining: this.frontier.length,
+      assetsDownloaded: checkpoint.assets.filter((asset) => asset.downloaded).length,
+      assetsTotal: this.discoveredAssets.size
+    });
+
+    return Array.from(this.discoveredAssets.values());
+  }
+
+  // Open a page for a viewport profile, with network monitoring and the page timeout set up
+  async openViewportPage(profile) {
+    const page = await this.browser.newPage({
+      viewport: profile.viewport,
+      userAgent: this.crawlConfig.browser.userAgentOverride || profile.userAgent,
+      httpCredentials: this.credentials ? this.credentials.getHttpCredentials() : null
+    });
+
+    // Set up network monitoring, blocking unnecessary requests to save bandwidth
+    await this.setupNetworkMonitoring(page);
+    if (this.harRecorder) {
+      this.harRecorder.attach(page);
+    }
+    if (this.apiRecorder) {
+      this.apiRecorder.attach(page);
+    }
+
+    // Cloning from a HAR: every request is answered from the recording
+    if (this.harArchive) {
+      await page.setRequestResponder(({ url, method }) => this.harArchive.lookup(url, method));
+    }
+
+    // Log the page in - cookies go into the browser's jar, auth headers only to the cloned site
+    if (this.credentials) {
+      if (this.credentials.cookies.length > 0) {
+        await page.setCookies(this.credentials.cookies);
+      }
+      await page.setRequestHeaders((url) => this.credentials.headersFor(url, { includeCookies: false }));
+    }
+
+    // Set page timeout
+    page.setDefaultTimeout(config.browser.timeout);
+    return page;
+  }
+
+  async setupNetworkMonitoring(page = this.page) {
+    await page.setRequestFilter(({ url, resourceType }) => {
       // Block tracking and analytics
-      if (this.isTrackingUrl(url)) {
-        request.abort();
-        return;
+      if (this.crawlConfig.browser.blockTrackers && this.isTrackingUrl(url)) {
+        return false;
       }
       
       // Block unnecessary large media only if explicitly requested
       if (resourceType === 'media' && this.shouldBlockMedia(url)) {
-        request.abort();
-        return;
+        return false;
       }
       
       // Allow all other requests to proceed, including all images
-      request.continue();
+      return true;
     });
 
     // Monitor all network responses
-    this.page.on("response", async (response) => {
+    page.onResponse(async (response) => {
       try {
         const url = response.url();
         const status = response.status();
@@ -220,7 +626,7 @@ class SmartCrawler {
     };
 
     // Filter important assets
-    if (this.isImportantAsset(asset)) {
+    if (this.isImportantAsset(asset) && this.isAllowedByFilters(url, asset.type)) {
       this.discoveredAssets.set(url, asset);
       this.onAssetFound(asset);
       logger.debug('Asset discovered', {
@@ -292,7 +698,8 @@ class SmartCrawler {
       "image",
     ];
 
-    return importantTypes.includes(asset.type);
+    // WebAssembly modules have no type of their own, but the scripts loading them fail without them
+    return importantTypes.includes(asset.type) || /\.wasm$/i.test(asset.url.split(/[?#]/)[0]);
   }
 
   isImportantImage(url) {
@@ -344,57 +751,289 @@ class SmartCrawler {
     return trackingDomains.some(domain => urlLower.includes(domain));
   }
 
-  async crawlPage(url, options) {
+  // robots.txt for the URL's origin, fetched once and shared by concurrent callers
+  getRobotsRules(url) {
+    const { origin, hostname } = new URL(url);
+    if (!this.robotsRules.has(origin)) {
+      this.robotsRules.set(origin, this.fetchRobotsRules(origin).then((robots) => {
+        const crawlDelay = robots.getCrawlDelay();
+        if (crawlDelay && this.crawlConfig.crawling.respectCrawlDelay) {
+          this.retryManager.setDomainDelay(hostname, crawlDelay);
+          logger.info('Applying robots.txt Crawl-delay', {
+            component: 'SmartCrawler',
+            origin,
+            crawlDelayMs: crawlDelay
+          });
+        }
+        return robots;
+      }));
+    }
+    return this.robotsRules.get(origin);
+  }
+
+  async fetchRobotsRules(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    const agent = this.crawlConfig.network.userAgent;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.crawlConfig.network.connectionTimeout);
+
     try {
-      if (this.visitedUrls.has(url)) {
-        return;
+      const response = this.harArchive
+        ? await this.harArchive.fetch(robotsUrl)
+        : await fetch(robotsUrl, {
+          signal: controller.signal,
+          headers: { "User-Agent": this.userAgent, ...this.getAuthHeaders(robotsUrl) }
+        });
+
+      if (response.ok) {
+        return new RobotsTxt(await response.text(), agent);
+      }
+
+      // A missing robots.txt (4xx) places no restrictions on crawling
+      if (response.status >= 400 && response.status < 500) {
+        return RobotsTxt.allowAll(agent);
+      }
+
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    } catch (error) {
+      // An unreachable robots.txt means the whole origin is off limits (RFC 9309)
+      logger.warn('robots.txt unavailable, treating origin as disallowed', {
+        component: 'SmartCrawler',
+        url: robotsUrl,
+        error: error.message
+      });
+      return RobotsTxt.disallowAll(agent);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Check a page or asset against robots.txt, recording it in the error report when disallowed
+  async isAllowedByRobots(url, type) {
+    // Only http(s) URLs have a robots.txt
+    if (!this.crawlConfig.crawling.followRobotsTxt || !/^https?:\/\//i.test(url)) {
+      return true;
+    }
+
+    const robots = await this.getRobotsRules(url);
+
+    const { allowed, rule } = robots.isAllowed(url);
+    if (!allowed) {
+      this.recordSkippedUrl(url, type, 'robots.txt', rule);
+    }
+    return allowed;
+  }
+
+  // Check a page or asset against the configured URL filters, recording the excluding rule
+  isAllowedByFilters(url, type) {
+    const { allowed, rule } = this.urlFilter.check(url);
+    if (!allowed) {
+      this.recordSkippedUrl(url, type, 'filter', rule);
+    }
+    return allowed;
+  }
+
+  recordSkippedUrl(url, type, reason, rule) {
+    if (this.skippedUrls.has(url)) {
+      return;
+    }
+
+    this.skippedUrls.set(url, {
+      url,
+      type,
+      reason,
+      rule,
+      timestamp: Date.now()
+    });
+    logger.info('Skipping URL', {
+      component: 'SmartCrawler',
+      url,
+      type,
+      reason,
+      rule
+    });
+  }
+
+  async crawlPage(url, depth = 0) {
+    try {
+      if (this.cancelled || this.visitedUrls.has(url)) {
+        return [];
       }
 
       this.visitedUrls.add(url);
-      logger.debug('Crawling page', { component: 'SmartCrawler', url });
+      this.pageDepths.set(url, depth);
+
+      if (!this.isAllowedByFilters(url, 'page') || !(await this.isAllowedByRobots(url, 'page'))) {
+        return [];
+      }
+
+      logger.debug('Crawling page', { component: 'SmartCrawler', url, depth });
+
+      // Honor the site's Crawl-delay between page loads
+      await this.retryManager.waitForDomainSlot(url);
 
       // Navigate to page with timeout
-      await Promise.race([
-        this.page.goto(url, {
-          waitUntil: "networkidle0",
-          timeout: 30000,
-        }),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Page load timeout")), 35000)
-        ),
-      ]);
+      await this.navigatePage(this.page, url);
 
       // Wait for dynamic content to load (reduced time)
       await new Promise((resolve) => setTimeout(resolve, 1000));
 
+      // Dismiss banners, open tabs and accordions before content is extracted
+      await this.runPageSteps(this.page, this.viewportProfiles[0].name);
+
       // Wait for SPA frameworks to render content
-      await this.waitForSPAContent();
+      if (this.crawlConfig.crawling.handleSPA) {
+        await this.waitForSPAContent();
+      }
 
       // Execute JavaScript to trigger lazy loading
-      await this.triggerDynamicContent();
+      if (this.crawlConfig.crawling.executeDynamicContent) {
+        await this.triggerDynamicContent();
+      }
 
       // Extract additional CSS from the page
       await this.extractPageAssets();
 
+      // Collect links before the page is navigated away from
+      const links = await this.extractPageLinks();
+
       // Save page HTML
       await this.savePageHTML(url);
+      this.sessionStats.pagesProcessed++;
+
+      // Load the page in the extra viewports for their breakpoint-specific assets
+      await this.captureViewports(url);
 
-      // Update progress
-      this.onProgress(Math.min(50, (this.visitedUrls.size / 10) * 50));
+      this.onPageCrawled({
+        url,
+        depth,
+        localPath: this.savedPages.has(url)
+          ? path.relative(this.outputDir, this.savedPages.get(url))
+          : null,
+        linksFound: links.length
+      });
+
+      // Update progress - page crawling covers 0-50%
+      const knownPages = this.visitedUrls.size + this.frontier.length;
+      this.onProgress(Math.min(50, (this.visitedUrls.size / knownPages) * 50));
+
+      return links;
     } catch (error) {
       logger.warn('Page crawl failed, continuing', {
         component: 'SmartCrawler',
         url,
+        depth,
         error: error.message
       });
       // Don't throw, just log and continue
+      return [];
+    }
+  }
+
+  // A failed required step aborts the crawl - without a login there's nothing worth cloning
+  async runBeforeCrawlSteps(url) {
+    const steps = new InteractionSteps(this.steps.beforeCrawl, url);
+    const { completed, results } = await steps.run(this.page, {
+      phase: 'beforeCrawl',
+      viewport: this.viewportProfiles[0].name,
+      onStepCompleted: this.onStepCompleted
+    });
+
+    if (!completed) {
+      const failed = results[results.length - 1];
+      throw new Error(`Pre-crawl step ${failed.index} (${failed.action} ${failed.target}) failed: ${failed.error}`);
+    }
+
+    // Share the session the steps set up with asset downloads and the other viewports
+    const cookies = await this.page.getCookies();
+    if (cookies.length > 0) {
+      this.credentials = this.credentials || new Credentials({ host: new URL(url).hostname });
+      const merged = this.credentials.mergeCookies(cookies);
+
+      // Every page has its own browser context
+      for (const { page } of this.viewportPages) {
+        await page.setCookies(merged);
+      }
+    }
+  }
+
+  // Per-page steps never abort the crawl; failures are reported and the page is captured as is
+  async runPageSteps(page, viewport) {
+    if (!this.steps.everyPage?.length) {
+      return;
+    }
+
+    const steps = new InteractionSteps(this.steps.everyPage, page.url());
+    await steps.run(page, {
+      phase: 'everyPage',
+      viewport,
+      onStepCompleted: this.onStepCompleted
+    });
+  }
+
+  async navigatePage(page, url) {
+    if (this.harRecorder) {
+      this.harRecorder.startPage(page, url);
+    }
+
+    const pageTimeout = this.crawlConfig.browser.pageTimeout;
+    await Promise.race([
+      page.goto(url, {
+        waitUntil: "networkidle0",
+        timeout: pageTimeout,
+      }),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("Page load timeout")), pageTimeout + 5000)
+      ),
+    ]);
+  }
+
+  // Responsive images, srcset candidates and mobile-only bundles requested by other
+  // viewports are discovered through the same network monitoring and merged into one asset set
+  async captureViewports(url) {
+    for (const { profile, page } of this.viewportPages) {
+      if (this.cancelled) {
+        return;
+      }
+
+      const assetsBefore = this.discoveredAssets.size;
+      try {
+        // Each viewport loads the page again, so it waits out the Crawl-delay too
+        await this.retryManager.waitForDomainSlot(url);
+        await this.navigatePage(page, url);
+
+        // Wait for dynamic content to load (reduced time)
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+
+        await this.runPageSteps(page, profile.name);
+
+        if (this.crawlConfig.crawling.executeDynamicContent) {
+          await this.triggerDynamicContent(page);
+        }
+
+        await this.extractPageAssets(page);
+
+        logger.debug('Viewport captured', {
+          component: 'SmartCrawler',
+          url,
+          viewport: profile.name,
+          newAssets: this.discoveredAssets.size - assetsBefore
+        });
+      } catch (error) {
+        logger.warn('Viewport capture failed, continuing', {
+          component: 'SmartCrawler',
+          url,
+          viewport: profile.name,
+          error: error.message
+        });
+      }
     }
   }
 
-  async waitForSPAContent() {
+  async waitForSPAContent(page = this.page) {
     try {
       // Wait for Vue.js apps to render
-      await this.page.waitForFunction(() => {
+      await page.waitForFunction(() => {
         // Check if content has been rendered (no longer just empty div)
         const appEl = document.querySelector('#app, [data-app], .vue-app, .app');
         if (appEl && appEl.children.length > 0) {
@@ -432,10 +1071,10 @@ class SmartCrawler {
     }
   }
 
-  async triggerDynamicContent() {
+  async triggerDynamicContent(page = this.page) {
     try {
       // Scroll to trigger lazy loading
-      await this.page.evaluate(() => {
+      await page.evaluate(() => {
         return new Promise((resolve) => {
           let totalHeight = 0;
           const distance = 100;
@@ -456,7 +1095,7 @@ class SmartCrawler {
       await new Promise((resolve) => setTimeout(resolve, 1000));
 
       // Look for common 3D frameworks and trigger initialization
-      await this.page.evaluate(() => {
+      await page.evaluate(() => {
         // Trigger Three.js scenes
         if (window.THREE) {
           // Three.js detected - will be logged by caller
@@ -490,36 +1129,185 @@ class SmartCrawler {
     }
   }
 
-  async discoverSPARoutes(baseUrl) {
-    try {
-      // Look for common SPA routing patterns
-      const routes = await this.page.evaluate(() => {
-        const links = Array.from(document.querySelectorAll("a[href]"));
-        return links
-          .map((link) => link.href)
-          .filter((href) => href.startsWith(window.location.origin))
-          .filter((href) => !href.includes("#"))
-          .slice(0, 5); // Limit to prevent infinite crawling
-      });
+  // Breadth-first crawl of same-site pages, bounded by depth, maxFiles and maxTime
+  async crawlFrontier(startUrl, startLinks = []) {
+    this.queuedUrls.add(this.normalizePageUrl(startUrl));
+    this.enqueueLinks(startUrl, startLinks, 1);
+
+    while (this.frontier.length > 0) {
+      await this.waitIfPaused();
+      if (this.cancelled) {
+        break;
+      }
+
+      const limit = this.getCrawlLimitReached();
+      if (limit) {
+        logger.info('Crawl frontier stopped early', {
+          component: 'SmartCrawler',
+          reason: limit,
+          pagesVisited: this.visitedUrls.size,
+          pagesRemaining: this.frontier.length
+        });
+        break;
+      }
+
+      const { url, depth } = this.frontier.shift();
+      const links = await this.crawlPage(url, depth);
+      this.enqueueLinks(startUrl, links, depth + 1);
+      await this.saveCheckpoint();
+    }
 
-      // Crawl discovered routes
-      for (const route of routes) {
-        if (!this.visitedUrls.has(route)) {
-          await this.crawlPage(route);
+    logger.info('Crawl frontier completed', {
+      component: 'SmartCrawler',
+      pagesVisited: this.visitedUrls.size,
+      maxDepth: this.maxDepth
+    });
+  }
+
+  // Page URLs listed in the site's sitemaps, following sitemap indexes
+  async discoverSitemapUrls(startUrl) {
+    const { origin } = new URL(startUrl);
+    const { maxSitemapFiles } = this.crawlConfig.crawling;
+
+    // robots.txt Sitemap lines take precedence over the conventional location
+    const robots = await this.getRobotsRules(startUrl);
+    const pending = robots.getSitemaps();
+    if (pending.length === 0) {
+      pending.push(`${origin}/sitemap.xml`);
+    }
+
+    // Never seed more pages than the maxFiles budget can hold
+    const budget = Math.max(0, this.maxFiles - this.savedPages.size - this.discoveredAssets.size);
+    const fetched = new Set();
+    const pageUrls = new Set();
+
+    while (pending.length > 0 && fetched.size < maxSitemapFiles && pageUrls.size < budget) {
+      const sitemapUrl = pending.shift();
+      if (fetched.has(sitemapUrl) || !this.isSameSite(sitemapUrl, startUrl)) {
+        continue;
+      }
+      fetched.add(sitemapUrl);
+
+      if (!(await this.isAllowedByRobots(sitemapUrl, 'sitemap'))) {
+        continue;
+      }
+
+      try {
+        const { response, body } = await this.retryManager.executeWithRetry(
+          () => this._fetchWithEnhancedTimeout(sitemapUrl, {}, async (response) => ({
+            response,
+            body: response.ok ? await response.buffer() : null
+          })),
+          { url: sitemapUrl, operation: 'sitemap_fetch' }
+        );
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
+
+        const sitemap = new Sitemap(body);
+        pending.push(...sitemap.sitemaps);
+        for (const pageUrl of sitemap.urls) {
+          if (pageUrls.size >= budget) {
+            break;
+          }
+          if (this.isSameSite(pageUrl, startUrl)) {
+            pageUrls.add(pageUrl);
+          }
+        }
+      } catch (error) {
+        logger.debug('Sitemap unavailable', {
+          component: 'SmartCrawler',
+          url: sitemapUrl,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Sitemap discovery completed', {
+      component: 'SmartCrawler',
+      sitemapsFetched: fetched.size,
+      pagesFound: pageUrls.size
+    });
+    return Array.from(pageUrls);
+  }
+
+  // Add same-site links to the frontier if they are within the depth limit
+  enqueueLinks(startUrl, links, depth) {
+    if (depth > this.maxDepth) {
+      return;
+    }
+
+    for (const link of links) {
+      if (!this.isSameSite(link, startUrl) || !this.isCrawlablePage(link)) {
+        continue;
       }
+
+      const normalized = this.normalizePageUrl(link);
+      if (this.queuedUrls.has(normalized)) {
+        continue;
+      }
+
+      this.queuedUrls.add(normalized);
+      this.frontier.push({ url: normalized, depth });
+    }
+  }
+
+  // Returns the name of the limit that stops the frontier, or null to keep going
+  getCrawlLimitReached() {
+    if (Date.now() - this.sessionStats.startTime - this.pausedTime > this.maxTime) {
+      return 'maxTime';
+    }
+    if (this.savedPages.size + this.discoveredAssets.size >= this.maxFiles) {
+      return 'maxFiles';
+    }
+    return null;
+  }
+
+  isSameSite(url, startUrl) {
+    try {
+      return new URL(url).origin === new URL(startUrl).origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Skip links to downloads and media - those are assets, not pages
+  isCrawlablePage(url) {
+    try {
+      const pathname = new URL(url).pathname.toLowerCase();
+      return !pathname.match(/\.(pdf|zip|rar|7z|gz|tar|exe|dmg|jpg|jpeg|png|gif|svg|webp|mp4|webm|mp3|wav|css|js|json|xml|glb|gltf)$/);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  normalizePageUrl(url) {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    return urlObj.href;
+  }
+
+  // Collect link targets from the current page
+  async extractPageLinks() {
+    try {
+      return await this.page.evaluate(() => {
+        return Array.from(document.querySelectorAll("a[href]"))
+          .map((link) => link.href)
+          .filter((href) => href.startsWith("http://") || href.startsWith("https://"));
+      });
     } catch (error) {
-      logger.debug('Error discovering SPA routes', {
+      logger.debug('Error extracting page links', {
         component: 'SmartCrawler',
         error: error.message
       });
+      return [];
     }
   }
 
   // Extract additional assets from the page DOM
-  async extractPageAssets() {
+  async extractPageAssets(page = this.page) {
     try {
-      const extractedAssets = await this.page.evaluate(() => {
+      const extractedAssets = await page.evaluate(() => {
         const assets = [];
         
         // Extract CSS links that might have been missed
@@ -644,22 +1432,69 @@ class SmartCrawler {
           }
         });
 
+        // Every srcset candidate, not only the one this viewport picked - parsed server-side
+        const srcsetAttributes = ['srcset', 'data-srcset', 'imagesrcset'];
+        document.querySelectorAll('img[srcset], img[data-srcset], source[srcset], source[data-srcset], link[imagesrcset]').forEach(element => {
+          srcsetAttributes.forEach(attribute => {
+            const srcset = element.getAttribute(attribute);
+            if (srcset) {
+              assets.push({
+                srcset,
+                baseUrl: document.baseURI,
+                source: `${element.tagName.toLowerCase()}_${attribute}`
+              });
+            }
+          });
+        });
+
+        // Preloaded images, e.g. a hero image the page only shows once its script runs
+        document.querySelectorAll('link[rel~="preload"][as="image"][href]').forEach(link => {
+          assets.push({
+            url: link.href,
+            type: 'image',
+            typeFromMarkup: true,
+            source: 'link_preload'
+          });
+        });
+
         return assets;
       });
 
+      // srcset values carry several candidates - markup tells us they're images even without an extension
+      const pageAssets = extractedAssets.flatMap(extracted => {
+        if (extracted.srcset === undefined) {
+          return [extracted];
+        }
+        return Srcset.parse(extracted.srcset)
+          .filter(candidate => this.isValidAssetUrl(candidate.url))
+          .flatMap(candidate => {
+            try {
+              return [{
+                url: new URL(candidate.url, extracted.baseUrl).href,
+                type: 'image',
+                typeFromMarkup: true,
+                source: extracted.source
+              }];
+            } catch (error) {
+              return [];
+            }
+          });
+      });
+
       // Process extracted assets
-      for (const extractedAsset of extractedAssets) {
+      for (const extractedAsset of pageAssets) {
         if (!this.discoveredAssets.has(extractedAsset.url)) {
+          const detectedType = this.determineAssetType(extractedAsset.url, '');
           const asset = {
             url: extractedAsset.url,
-            type: this.determineAssetType(extractedAsset.url, ''),
+            type: detectedType === 'other' && extractedAsset.typeFromMarkup ? extractedAsset.type : detectedType,
             contentType: '',
             size: 0,
             discoveredAt: new Date(),
             source: extractedAsset.source
           };
 
-          if (this.isImportantAsset(asset)) {
+          if (this.isImportantAsset(asset) && this.isAllowedByFilters(asset.url, asset.type)) {
             this.discoveredAssets.set(extractedAsset.url, asset);
             this.onAssetFound(asset);
             logger.debug('Asset extracted from DOM', {
@@ -674,8 +1509,8 @@ class SmartCrawler {
 
       logger.debug('Page asset extraction completed', {
         component: 'SmartCrawler',
-        extractedAssets: extractedAssets.length,
-        newAssets: extractedAssets.filter(a => !this.discoveredAssets.has(a.url)).length
+        extractedAssets: pageAssets.length,
+        newAssets: pageAssets.filter(a => !this.discoveredAssets.has(a.url)).length
       });
     } catch (error) {
       logger.debug('Error extracting page assets', {
@@ -722,18 +1557,43 @@ class SmartCrawler {
 
     let downloaded = 0;
     let failed = 0;
+    let skipped = 0;
+    let blocked = 0;
     const total = this.discoveredAssets.size;
     const startTime = Date.now();
 
     // Process assets in batches to avoid overwhelming the server
-    const batchSize = 5;
+    const batchSize = this.crawlConfig.network.maxConcurrentConnections;
     const assetArray = Array.from(this.discoveredAssets.entries());
 
     for (let i = 0; i < assetArray.length; i += batchSize) {
+      await this.waitIfPaused();
+      if (this.cancelled) {
+        logger.info('Asset downloads cancelled', {
+          component: 'SmartCrawler',
+          downloaded,
+          failed,
+          remaining: assetArray.length - i
+        });
+        break;
+      }
+
       const batch = assetArray.slice(i, i + batchSize);
 
       // Process batch concurrently
       const promises = batch.map(async ([url, asset]) => {
+        // Assets downloaded before a checkpoint are kept while their file is still on disk
+        if (asset.downloaded && asset.localPath && await fs.pathExists(asset.localPath)) {
+          skipped++;
+          return { success: true, url, skipped: true };
+        }
+
+        if (!(await this.isAllowedByRobots(url, asset.type))) {
+          blocked++;
+          asset.error = 'Disallowed by robots.txt';
+          return { success: false, url, blocked: true };
+        }
+
         try {
           await this.downloadAsset(asset);
           downloaded++;
@@ -750,9 +1610,10 @@ class SmartCrawler {
       });
 
       await Promise.allSettled(promises);
+      await this.saveCheckpoint();
 
       // Update progress (50-100%)
-      const progress = 50 + ((downloaded + failed) / total) * 50;
+      const progress = 50 + ((downloaded + failed + skipped + blocked) / total) * 50;
       this.onProgress(progress);
 
       // Log batch completion
@@ -763,12 +1624,14 @@ class SmartCrawler {
         batchNumber: batchNum,
         downloaded,
         failed,
+        skipped,
+        blocked,
         elapsedSeconds: elapsed
       });
 
       // Small delay between batches to be respectful
       if (i + batchSize < assetArray.length) {
-        await new Promise((resolve) => setTimeout(resolve, 100));
+        await new Promise((resolve) => setTimeout(resolve, this.crawlConfig.network.delayBetweenRequests));
       }
     }
 
@@ -776,13 +1639,27 @@ class SmartCrawler {
       component: 'SmartCrawler',
       downloaded,
       failed,
+      skipped,
+      blocked,
       total,
-      successRate: `${((downloaded / total) * 100).toFixed(1)}%`
+      successRate: `${(((downloaded + skipped) / total) * 100).toFixed(1)}%`
     });
-    return { downloaded, failed, total };
+    return { downloaded, failed, skipped, blocked, total };
+  }
+
+  addDownloadResult(downloadResult, additionalDownloadResult) {
+    downloadResult.downloaded += additionalDownloadResult.downloaded;
+    downloadResult.failed += additionalDownloadResult.failed;
+    downloadResult.skipped += additionalDownloadResult.skipped;
+    downloadResult.blocked += additionalDownloadResult.blocked;
+    downloadResult.total += additionalDownloadResult.total;
   }
 
   async downloadAsset(asset) {
+    if (this.cancelled) {
+      throw new Error('Download cancelled');
+    }
+
     return this.retryManager.executeWithRetry(
       async () => this._downloadAssetWithCache(asset),
       { 
@@ -802,11 +1679,14 @@ class SmartCrawler {
       });
 
       // Check cache first
-      const cachedAsset = await this.cacheManager.get(asset.url, {
-        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-      });
+      const cachedAsset = this.cacheEnabled
+        ? await this.cacheManager.get(asset.url, {
+          headers: { 'User-Agent': this.userAgent }
+        })
+        : null;
 
       let buffer, contentType, headers;
+      let notModified = false;
       
       if (cachedAsset) {
         logger.debug('Using cached asset', {
@@ -819,39 +1699,59 @@ class SmartCrawler {
         headers = cachedAsset.headers;
         contentType = headers['content-type'] || '';
       } else {
-        // Download with enhanced error handling
-        const response = await this._fetchWithEnhancedTimeout(asset.url);
+        // In update mode, ask only for assets that changed since the baseline crawl
+        const conditionalHeaders = this.baseline ? await this.baseline.conditionalHeaders(asset.url) : {};
 
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        buffer = await response.buffer();
-        contentType = response.headers.get("content-type") || "";
-        headers = Object.fromEntries(response.headers.entries());
+        // Download with enhanced error handling
+        await this._fetchWithEnhancedTimeout(asset.url, conditionalHeaders, async (response) => {
+          if (response.status === 304 && Object.keys(conditionalHeaders).length > 0) {
+            // Not modified - reuse the baseline's copy
+            response.body.resume();
+            notModified = true;
+            ({ buffer, contentType, headers } = await this.baseline.readAsset(
+              asset.url,
+              Object.fromEntries(response.headers.entries())
+            ));
+          } else if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          } else {
+            buffer = await response.buffer();
+            contentType = response.headers.get("content-type") || "";
+            headers = Object.fromEntries(response.headers.entries());
+          }
+        });
 
         // Cache the asset for future use
-        await this.cacheManager.set(asset.url, buffer, {
-          type: asset.type,
-          contentType: contentType,
-          size: buffer.length,
-          timestamp: Date.now()
-        }, {
-          headers: headers,
-          ttl: 24 * 60 * 60 * 1000 // 24 hours
-        });
+        if (this.cacheEnabled) {
+          await this.cacheManager.set(asset.url, buffer, {
+            type: asset.type,
+            contentType: contentType,
+            size: buffer.length,
+            timestamp: Date.now()
+          }, {
+            headers: headers,
+            ttl: this.cacheTtl
+          });
+        }
       }
 
-      // Enhanced filename generation
-      const filename = this._generateIntelligentFilename(asset, contentType, headers);
-      
-      // Use intelligent path mapping based on detected build tool
-      const targetPath = this.getIntelligentAssetPath(asset, filename);
-      const assetDir = path.dirname(targetPath);
-      await fs.ensureDir(assetDir);
+      let filePath;
+      if (asset.targetPath && await this._isFreeTargetPath(asset.targetPath, asset)) {
+        // Files a model refers to by relative URI (glTF buffers and textures) must be at exactly that path
+        filePath = asset.targetPath;
+        await fs.ensureDir(path.dirname(filePath));
+      } else {
+        // Enhanced filename generation
+        const filename = this._generateIntelligentFilename(asset, contentType, headers);
 
-      // Handle duplicate filenames with better strategy
-      const filePath = await this._resolveUniqueFilePath(targetPath, filename);
+        // Use intelligent path mapping based on detected build tool
+        const targetPath = this.getIntelligentAssetPath(asset, filename);
+        const assetDir = path.dirname(targetPath);
+        await fs.ensureDir(assetDir);
+
+        // Handle duplicate filenames with better strategy
+        filePath = await this._resolveUniqueFilePath(targetPath, filename);
+      }
 
       await fs.writeFile(filePath, buffer);
 
@@ -862,6 +1762,9 @@ class SmartCrawler {
       asset.size = buffer.length;
       asset.contentType = contentType;
       asset.checksum = require('crypto').createHash('md5').update(buffer).digest('hex');
+      if (this.baseline) {
+        asset.change = notModified ? 'unchanged' : this.baseline.classifyAsset(asset.url, buffer);
+      }
 
       // Update session statistics
       this.sessionStats.assetsDownloaded++;
@@ -869,11 +1772,12 @@ class SmartCrawler {
 
       logger.debug('Asset downloaded successfully', {
         component: 'SmartCrawler',
-        filename,
+        filename: path.basename(filePath),
         targetPath: path.relative(this.outputDir, filePath),
         bytes: buffer.length,
         url: asset.url,
-        cached: !!cachedAsset
+        cached: !!cachedAsset,
+        notModified
       });
 
       return asset;
@@ -901,32 +1805,52 @@ class SmartCrawler {
     }
   }
 
-  async _fetchWithEnhancedTimeout(url) {
+  // Cookie and Authorization headers for a download, when the session has credentials
+  getAuthHeaders(url) {
+    return this.credentials ? this.credentials.headersFor(url) : {};
+  }
+
+  // handleResponse reads what the caller needs from the response; the download can be
+  // cancelled until it returns
+  async _fetchWithEnhancedTimeout(url, extraHeaders = {}, handleResponse = (response) => response) {
+    if (this.harArchive) {
+      return handleResponse(await this.harArchive.fetch(url));
+    }
+
+    const { connectionTimeout, acceptLanguage, customHeaders } = this.crawlConfig.network;
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000);
+    const timeoutId = setTimeout(() => controller.abort(), connectionTimeout);
+    this.activeDownloads.add(controller);
 
     try {
       const response = await fetch(url, {
         signal: controller.signal,
         headers: {
-          "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+          "User-Agent": this.userAgent,
           "Accept": "*/*",
           "Accept-Encoding": "gzip, deflate, br",
-          "Accept-Language": "en-US,en;q=0.9",
+          "Accept-Language": acceptLanguage,
           "Cache-Control": "no-cache",
-          "Pragma": "no-cache"
+          "Pragma": "no-cache",
+          ...customHeaders,
+          ...this.getAuthHeaders(url),
+          ...extraHeaders
         },
-        timeout: 30000
+        timeout: connectionTimeout
       });
 
       clearTimeout(timeoutId);
-      return response;
+
+      return await handleResponse(response);
     } catch (error) {
       clearTimeout(timeoutId);
       if (error.name === 'AbortError') {
-        throw new Error('Request timeout');
+        // Cancelled downloads must not look like timeouts, or they would be retried
+        throw new Error(this.cancelled ? 'Download cancelled' : 'Request timeout');
       }
       throw error;
+    } finally {
+      this.activeDownloads.delete(controller);
     }
   }
 
@@ -1181,10 +2105,14 @@ class SmartCrawler {
       const beforeCount = this.discoveredAssets.size;
       
       // Discover assets from downloaded CSS files
-      await this.discoverAssetsFromCssFiles();
+      if (this.crawlConfig.crawling.parseCSS) {
+        await this.discoverAssetsFromCssFiles();
+      }
       
       // Discover assets from downloaded JavaScript files
-      await this.discoverAssetsFromJsFiles();
+      if (this.crawlConfig.crawling.parseJavaScript) {
+        await this.discoverAssetsFromJsFiles();
+      }
       
       // Discover assets from HTML content
       await this.discoverAssetsFromHtmlFiles();
@@ -1323,6 +2251,255 @@ class SmartCrawler {
     }
   }
 
+  // A .gltf refers to its .bin buffers and textures by URI relative to itself, and scenes usually
+  // request them only once they load - so they're read from the downloaded .gltf files and saved
+  // at the same relative paths. Embedded data: URIs need nothing
+  async discoverGltfDependencies() {
+    const beforeCount = this.discoveredAssets.size;
+    const gltfAssets = Array.from(this.discoveredAssets.values())
+      .filter(asset => asset.downloaded && asset.localPath && this.isGltfAsset(asset));
+
+    for (const gltfAsset of gltfAssets) {
+      try {
+        const gltf = await fs.readJson(gltfAsset.localPath);
+        const references = [
+          ...(gltf.buffers || []).map(buffer => ({ uri: buffer.uri, type: '3d-model', source: 'gltf_buffer' })),
+          ...(gltf.images || []).map(image => ({ uri: image.uri, type: 'texture', source: 'gltf_image' }))
+        ];
+
+        for (const { uri, type, source } of references) {
+          // Images stored in a bufferView have no URI
+          if (!uri || /^data:/i.test(uri)) {
+            continue;
+          }
+
+          try {
+            await this.addGltfDependency(gltfAsset, uri, type, source);
+          } catch (error) {
+            logger.debug('Error adding glTF dependency', {
+              component: 'SmartCrawler',
+              gltf: gltfAsset.url,
+              uri,
+              error: error.message
+            });
+          }
+        }
+      } catch (error) {
+        logger.debug('Error discovering glTF dependencies', {
+          component: 'SmartCrawler',
+          gltfFile: gltfAsset.localPath,
+          error: error.message
+        });
+      }
+    }
+
+    return this.discoveredAssets.size - beforeCount;
+  }
+
+  isGltfAsset(asset) {
+    try {
+      return /\.gltf$/i.test(new URL(asset.url).pathname) || /gltf\+json/i.test(asset.contentType || '');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async addGltfDependency(gltfAsset, uri, type, source) {
+    const url = new URL(uri, gltfAsset.url).href;
+
+    // Relative URIs are resolved by the loader against the .gltf's own location
+    let targetPath = null;
+    if (!/^([a-z][a-z0-9+.-]*:|\/)/i.test(uri)) {
+      const relativePath = decodeURIComponent(uri.split(/[?#]/)[0]);
+      targetPath = path.resolve(path.dirname(gltfAsset.localPath), relativePath);
+
+      const fromOutputDir = path.relative(this.outputDir, targetPath);
+      if (fromOutputDir.startsWith('..') || path.isAbsolute(fromOutputDir)) {
+        logger.warn('glTF dependency would be saved outside the output directory, using the default location', {
+          component: 'SmartCrawler',
+          gltf: gltfAsset.url,
+          uri
+        });
+        targetPath = null;
+      }
+    }
+
+    await this.addAssetAt(url, type, source, targetPath);
+  }
+
+  // Queue an asset to be saved at targetPath, where a loader will request it - or, when the
+  // page already loaded it, keep a copy there
+  async addAssetAt(url, type, source, targetPath) {
+    const existing = this.discoveredAssets.get(url);
+    if (!existing) {
+      this.addDiscoveredAsset(url, type, source);
+      const asset = this.discoveredAssets.get(url);
+      if (asset && targetPath) {
+        asset.targetPath = targetPath;
+      }
+      return;
+    }
+
+    if (targetPath && existing.localPath !== targetPath) {
+      if (existing.downloaded && existing.localPath && await fs.pathExists(existing.localPath)) {
+        if (await this._isFreeTargetPath(targetPath, existing)) {
+          await fs.ensureDir(path.dirname(targetPath));
+          await fs.copy(existing.localPath, targetPath);
+        }
+      } else if (!existing.downloaded) {
+        existing.targetPath = targetPath;
+      }
+    }
+  }
+
+  // A loader-dictated path may name a file the clone already has (a page, another asset) -
+  // that file is kept, and the asset goes to its default location instead
+  async _isFreeTargetPath(targetPath, asset) {
+    if (asset.localPath === targetPath || !(await fs.pathExists(targetPath))) {
+      return true;
+    }
+
+    logger.warn('Another cloned file is already at the path a loader requests, using the default location', {
+      component: 'SmartCrawler',
+      url: asset.url,
+      targetPath: path.relative(this.outputDir, targetPath)
+    });
+    return false;
+  }
+
+  // DRACOLoader and KTX2Loader fetch their decoders from a configured path, usually only once the
+  // first compressed model loads - so the paths are read from the scripts and saved pages, and the
+  // whole decoder sets saved where the cloned pages will request them
+  async discoverDecoderFiles(pageUrl) {
+    const beforeCount = this.discoveredAssets.size;
+    const decoderPaths = new Map(); // "kind path" -> { kind, path }
+
+    const sources = [
+      ...Array.from(this.discoveredAssets.values())
+        .filter(asset => asset.type === 'javascript' && asset.downloaded && asset.localPath)
+        .map(asset => asset.localPath),
+      ...this.savedPages.values()
+    ];
+    for (const filePath of sources) {
+      try {
+        const content = await fs.readFile(filePath, 'utf8');
+        for (const found of this.findDecoderPaths(content)) {
+          decoderPaths.set(`${found.kind} ${found.path}`, found);
+        }
+      } catch (error) {
+        logger.debug('Error reading decoder paths', {
+          component: 'SmartCrawler',
+          file: filePath,
+          error: error.message
+        });
+      }
+    }
+
+    // A model needing a decoder the scripts set no path for gets the loaders' default, next to the page
+    for (const kind of await this.getRequiredDecoders()) {
+      if (!Array.from(decoderPaths.values()).some(found => found.kind === kind)) {
+        logger.info('Compressed models need a decoder with no configured path, using the loader default', {
+          component: 'SmartCrawler',
+          decoder: kind
+        });
+        decoderPaths.set(`${kind} `, { kind, path: '' });
+      }
+    }
+
+    for (const { kind, path: decoderPath } of decoderPaths.values()) {
+      const directory = decoderPath && !decoderPath.endsWith('/') ? `${decoderPath}/` : decoderPath;
+      for (const file of DECODER_FILES[kind]) {
+        try {
+          await this.addDecoderFile(`${directory}${file}`, pageUrl);
+        } catch (error) {
+          logger.debug('Error adding decoder file', {
+            component: 'SmartCrawler',
+            decoderPath,
+            file,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    return this.discoveredAssets.size - beforeCount;
+  }
+
+  findDecoderPaths(content) {
+    const found = [];
+    for (const { kind, pattern } of DECODER_PATH_PATTERNS) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        // Only directories - the loaders append the file names themselves
+        if (!/\.(wasm|js)$/i.test(match[2]) && !/^(data|blob):/i.test(match[2])) {
+          found.push({ kind, path: match[2] });
+        }
+      }
+    }
+    return found;
+  }
+
+  // Decoders the downloaded models can't be displayed without, from their extensionsUsed
+  async getRequiredDecoders() {
+    const kinds = new Set();
+    const models = Array.from(this.discoveredAssets.values())
+      .filter(asset => asset.type === '3d-model' && asset.downloaded && asset.localPath);
+
+    for (const model of models) {
+      try {
+        // Skips the .bin buffers, which are typed as models too
+        if (!this.isGltfAsset(model) && !(await Glb.isGlbFile(model.localPath))) {
+          continue;
+        }
+
+        const gltf = await Glb.readGltf(model.localPath);
+        for (const extension of gltf.extensionsUsed || []) {
+          if (DECODER_EXTENSIONS[extension]) {
+            kinds.add(DECODER_EXTENSIONS[extension]);
+          }
+        }
+      } catch (error) {
+        logger.debug('Error reading glTF extensions', {
+          component: 'SmartCrawler',
+          model: model.url,
+          error: error.message
+        });
+      }
+    }
+
+    return kinds;
+  }
+
+  async addDecoderFile(decoderUrl, pageUrl) {
+    const url = new URL(decoderUrl, pageUrl).href;
+    const type = this.determineAssetType(url, '');
+
+    // Cloned pages all sit at the output root, so the loaders request relative and
+    // root-relative paths from there. Other origins are still requested from the network
+    let relativePath = null;
+    if (!/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(decoderUrl)) {
+      relativePath = decoderUrl.replace(/^\/+/, '');
+    } else if (new URL(url).origin === new URL(pageUrl).origin) {
+      relativePath = new URL(url).pathname.replace(/^\/+/, '');
+    }
+
+    let targetPath = null;
+    if (relativePath) {
+      targetPath = path.resolve(this.outputDir, decodeURIComponent(relativePath.split(/[?#]/)[0]));
+      const fromOutputDir = path.relative(this.outputDir, targetPath);
+      if (fromOutputDir.startsWith('..') || path.isAbsolute(fromOutputDir)) {
+        logger.warn('Decoder file would be saved outside the output directory, using the default location', {
+          component: 'SmartCrawler',
+          decoderUrl
+        });
+        targetPath = null;
+      }
+    }
+
+    await this.addAssetAt(url, type, 'model_decoder', targetPath);
+  }
+
   // Discover assets from HTML files
   async discoverAssetsFromHtmlFiles() {
     for (const [pageUrl, filePath] of this.savedPages) {
@@ -1364,21 +2541,17 @@ class SmartCrawler {
       }
     });
 
-    // Look for srcset attributes
-    const srcsetMatches = htmlContent.match(/srcset=["']([^"']+)["']/g);
-    if (srcsetMatches) {
-      srcsetMatches.forEach(srcset => {
-        const urlMatch = srcset.match(/srcset=["']([^"']+)["']/);
-        if (urlMatch && urlMatch[1]) {
-          // Parse srcset format: "url1 1x, url2 2x" or "url1 300w, url2 600w"
-          const urls = urlMatch[1].split(',');
-          urls.forEach(urlEntry => {
-            const url = urlEntry.trim().split(' ')[0];
-            if (this.isValidAssetUrl(url)) {
-              const assetUrl = this.resolveAssetUrl(url, baseUrl);
-              this.addDiscoveredAsset(assetUrl, 'image', 'html_srcset_recursive');
-            }
-          });
+    // Look for srcset, data-srcset and imagesrcset attributes
+    const srcsetPattern = /srcset\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+    let srcsetMatch;
+    while ((srcsetMatch = srcsetPattern.exec(htmlContent)) !== null) {
+      const srcset = srcsetMatch[1] !== undefined ? srcsetMatch[1] : srcsetMatch[2];
+      Srcset.parse(srcset).forEach(({ url }) => {
+        // Serialized attributes escape the & of query strings
+        const candidateUrl = url.replace(/&amp;/g, '&');
+        if (this.isValidAssetUrl(candidateUrl)) {
+          const assetUrl = this.resolveAssetUrl(candidateUrl, baseUrl);
+          this.addDiscoveredAsset(assetUrl, 'image', 'html_srcset_recursive');
         }
       });
     }
@@ -1446,7 +2619,7 @@ class SmartCrawler {
         downloaded: false
       };
 
-      if (this.isImportantAsset(asset)) {
+      if (this.isImportantAsset(asset) && this.isAllowedByFilters(url, type)) {
         this.discoveredAssets.set(url, asset);
         this.onAssetFound(asset);
         logger.debug('New asset discovered recursively', {
@@ -1469,8 +2642,28 @@ class SmartCrawler {
       buildToolConfidence: this.detectedBuildTool?.confidence || 0
     });
 
+    // Pages load the API mock shim before their own scripts, so it's written first
+    let apiMockScript = null;
+    if (this.apiRecorder) {
+      try {
+        apiMockScript = await this.apiRecorder.save(this.apiMocksDir);
+      } catch (error) {
+        logger.warn('Failed to save API recordings', {
+          component: 'SmartCrawler',
+          error: error.message
+        });
+      }
+    }
+
     try {
-      const htmlProcessor = new HtmlProcessor(this.outputDir, this.discoveredAssets, this.detectedBuildTool);
+      const htmlProcessor = new HtmlProcessor(
+        this.outputDir,
+        this.discoveredAssets,
+        this.detectedBuildTool,
+        this.savedPages,
+        this.crawlConfig.output,
+        apiMockScript
+      );
 
       // Process CSS files first to rewrite their internal URLs
       await htmlProcessor.processCssFiles();
@@ -1767,6 +2960,9 @@ class SmartCrawler {
       sessionStats: this.sessionStats
     });
     
+    // Save the HAR while the browser can still hand over pending response bodies
+    await this.saveHar();
+
     try {
       // Finalize cache operations
       if (this.cacheManager) {
@@ -1806,6 +3002,7 @@ class SmartCrawler {
         await this.browser.close();
         this.browser = null;
         this.page = null;
+        this.viewportPages = [];
         logger.debug('Browser cleanup completed', { component: 'SmartCrawler' });
       }
     } catch (cleanupError) {
@@ -1837,6 +3034,10 @@ class SmartCrawler {
 
     // Clear references to help GC
     this.visitedUrls.clear();
+    this.queuedUrls.clear();
+    this.pageDepths.clear();
+    this.frontier = [];
+    this.activeDownloads.clear();
     this.discoveredAssets.clear();
     this.savedPages.clear();
     this.errorLog = [];
@@ -1927,7 +3128,9 @@ class SmartCrawler {
       totalErrors: this.errorLog.length,
       errorsByType,
       errorsByDomain,
-      recentErrors: this.errorLog.slice(-20)
+      recentErrors: this.errorLog.slice(-20),
+      totalSkipped: this.skippedUrls.size,
+      skippedUrls: Array.from(this.skippedUrls.values())
     };
   }
 
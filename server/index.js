@@ -23,12 +23,22 @@ const {
   validateSession,
   handleCSPReport
 } = require('./middleware/security');
-const { validateCloneRequest, validateSessionId } = require('./middleware/validation');
+const {
+  validateCloneRequest,
+  validateHarUpload,
+  validateSessionId,
+  validateDownloadRequest,
+  validateWebSocketMessage
+} = require('./middleware/validation');
 
 const SmartCrawler = require("./crawlers/SmartCrawler");
+const ProClonerConfig = require("./config/ProClonerConfig");
 const AssetHunter = require("./crawlers/AssetHunter");
 const PackageBuilder = require("./utils/PackageBuilder");
 const PayloadAnalyzer = require("./utils/PayloadAnalyzer");
+const Credentials = require("./utils/Credentials");
+const UpdateBaseline = require("./utils/UpdateBaseline");
+const HarArchive = require("./utils/HarArchive");
 const CompletenessVerifier = require("./utils/CompletenessVerifier");
 
 const app = express();
@@ -52,7 +62,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Session configuration
-app.use(session({
+const sessionMiddleware = session({
   secret: process.env.SESSION_SECRET || 'your-secret-key',
   resave: false,
   saveUninitialized: false,
@@ -60,11 +70,14 @@ app.use(session({
     secure: process.env.NODE_ENV === 'production',
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
-}));
+});
+app.use(sessionMiddleware);
 
 // Passport configuration
-app.use(passport.initialize());
-app.use(passport.session());
+const passportInitialize = passport.initialize();
+const passportSession = passport.session();
+app.use(passportInitialize);
+app.use(passportSession);
 
 // Auth routes
 app.use('/auth', authRouter);
@@ -77,6 +90,9 @@ app.post('/api/csp-report', express.json({ type: 'application/csp-report' }), ha
 
 // Store active crawling sessions
 const activeSessions = new Map();
+
+// Controls for sessions whose crawler is running, kept out of the persisted session data
+const runningCrawls = new Map();
 const SESSIONS_FILE = path.join(config.storage.tempDir, 'sessions.json');
 
 // Initialize temp directory
@@ -109,9 +125,10 @@ class SessionManager {
           // Handle session recovery based on status
           if (
             sessionData.status === "completed" ||
-            sessionData.status === "error"
+            sessionData.status === "error" ||
+            sessionData.status === "cancelled"
           ) {
-            // Keep completed/errored sessions for reference
+            // Keep completed/errored/cancelled sessions for reference
             this.sessions.set(sessionId, sessionData);
           } else {
             // Mark interrupted sessions for potential recovery
@@ -163,6 +180,7 @@ class SessionManager {
         "crawling",
         "processing",
         "starting",
+        "paused",
         "interrupted",
       ];
       const isRecoverableState = recoverableStates.includes(sessionData.status);
@@ -196,7 +214,10 @@ class SessionManager {
   async saveSessions() {
     try {
       await fs.ensureDir(path.dirname(this.sessionsFile));
-      const sessionsData = Object.fromEntries(this.sessions);
+      // Crawl checkpoints can be large, so they only live in each session's session-state.json
+      const sessionsData = Object.fromEntries(
+        Array.from(this.sessions.entries()).map(([id, { checkpoint, ...session }]) => [id, session])
+      );
       await fs.writeJson(this.sessionsFile, sessionsData, { spaces: 2 });
     } catch (error) {
       logger.error('Error saving sessions', { error: error.message, stack: error.stack });
@@ -213,14 +234,18 @@ class SessionManager {
           session.outputDir,
           "session-state.json"
         );
+
+        // Write to a temp file first so overlapping saves never leave a torn checkpoint
+        const tempFile = `${sessionStateFile}.${uuidv4()}.tmp`;
         await fs.writeJson(
-          sessionStateFile,
+          tempFile,
           {
             ...session,
             lastSaved: new Date(),
           },
           { spaces: 2 }
         );
+        await fs.move(tempFile, sessionStateFile, { overwrite: true });
       }
     } catch (error) {
       logger.error('Error saving session state', {
@@ -243,6 +268,14 @@ class SessionManager {
         if (await fs.pathExists(sessionStateFile)) {
           const savedState = await fs.readJson(sessionStateFile);
 
+          // Convert date strings back to Date objects
+          if (savedState.startTime) {
+            savedState.startTime = new Date(savedState.startTime);
+          }
+          if (savedState.completedAt) {
+            savedState.completedAt = new Date(savedState.completedAt);
+          }
+
           // Preserve important current session properties that shouldn't be overwritten
           const preservedProps = {
             status: session.status,
@@ -276,34 +309,123 @@ const sessionManager = new SessionManager();
 // Initialize sessions on startup
 sessionManager.loadSessions();
 
+// Resolve the logged-in user for a WebSocket upgrade request from its session cookie
+function authenticateWebSocket(req) {
+  return new Promise((resolve) => {
+    sessionMiddleware(req, {}, () => {
+      passportInitialize(req, {}, () => {
+        passportSession(req, {}, () => resolve(req.user || null));
+      });
+    });
+  });
+}
+
+// Only the session owner and admins may follow a session
+function canAccessSession(user, session) {
+  return Boolean(user && session && (session.userId === user.id || user.isAdmin));
+}
+
+// Web archives replay the original responses, so the crawl must have recorded their bodies
+function recordsArchiveBodies(session) {
+  const output = session.crawlConfig?.output || {};
+  return Boolean(output.captureHar && output.harIncludeBodies);
+}
+
 // WebSocket connection for real-time updates
-wss.on("connection", (ws) => {
+wss.on("connection", (ws, req) => {
   const clientId = uuidv4();
-  logger.info('WebSocket client connected', { clientId });
-
-  // Send connection status
-  ws.send(
-    JSON.stringify({
-      type: "connection_status",
-      status: "connected",
-      message: "Connected to ProCloner server",
-      timestamp: new Date(),
-    })
-  );
+  ws.subscriptions = new Set();
+
+  // Messages can arrive before the session lookup finishes, so handlers wait on it
+  const userReady = authenticateWebSocket(req).then((user) => {
+    ws.user = user;
+    logger.info('WebSocket client connected', {
+      clientId,
+      userId: user?.id || null
+    });
+
+    // Send connection status
+    ws.send(
+      JSON.stringify({
+        type: "connection_status",
+        status: "connected",
+        authenticated: !!user,
+        message: "Connected to ProCloner server",
+        timestamp: new Date(),
+      })
+    );
+    return user;
+  });
 
   ws.on("message", async (message) => {
     try {
-      const data = JSON.parse(message);
+      await userReady;
+      const data = validateWebSocketMessage(JSON.parse(message));
       logger.debug('WebSocket message received', { 
         clientId,
         messageType: data.type,
         sessionId: data.sessionId
       });
 
+      const requestedSession = data.sessionId ? activeSessions.get(data.sessionId) : null;
+
+      // Sessions owned by someone else are reported as missing rather than forbidden
+      if (requestedSession && !canAccessSession(ws.user, requestedSession)) {
+        logger.warn('WebSocket session access denied', {
+          clientId,
+          userId: ws.user?.id || null,
+          sessionId: data.sessionId,
+          messageType: data.type
+        });
+        ws.send(
+          JSON.stringify({
+            type: data.type === "subscribe" ? "subscription_denied" : "session_not_found",
+            sessionId: data.sessionId,
+            message: ws.user ? "Session not found or expired" : "Authentication required",
+          })
+        );
+        return;
+      }
+
+      // Handle subscriptions to a session's progress events
+      if (data.type === "subscribe" && data.sessionId) {
+        if (!requestedSession) {
+          ws.send(
+            JSON.stringify({
+              type: "subscription_denied",
+              sessionId: data.sessionId,
+              message: "Session not found or expired",
+            })
+          );
+          return;
+        }
+
+        ws.subscriptions.add(data.sessionId);
+
+        // Send a snapshot so events emitted before subscribing aren't missed
+        ws.send(
+          JSON.stringify({
+            type: "subscribed",
+            sessionId: requestedSession.id,
+            status: requestedSession.status,
+            progress: requestedSession.progress,
+            totalAssets: requestedSession.assets.length,
+            message: `Subscribed to session updates (${requestedSession.status})`,
+          })
+        );
+      }
+
+      if (data.type === "unsubscribe" && data.sessionId) {
+        ws.subscriptions.delete(data.sessionId);
+      }
+
       // Handle session recovery requests
       if (data.type === "recover_session" && data.sessionId) {
-        const session = activeSessions.get(data.sessionId);
+        const session = requestedSession;
         if (session) {
+          // Recovering a session also follows its progress events
+          ws.subscriptions.add(session.id);
+
           // Try to load detailed session state
           await sessionManager.loadSessionState(data.sessionId);
 
@@ -358,11 +480,88 @@ wss.on("connection", (ws) => {
         }
       }
 
+      // Handle session pause requests - the crawler stops at its next page or download batch
+      if (data.type === "pause_session" && data.sessionId) {
+        const crawl = runningCrawls.get(data.sessionId);
+        if (crawl && crawl.crawler.pause()) {
+          logger.info('Session pause requested', { sessionId: data.sessionId });
+          ws.send(
+            JSON.stringify({
+              type: "session_pause_requested",
+              sessionId: data.sessionId,
+              message: "Pausing after the current page or download batch...",
+            })
+          );
+        } else {
+          ws.send(
+            JSON.stringify({
+              type: "session_pause_failed",
+              sessionId: data.sessionId,
+              message: "Only a session that is crawling can be paused",
+            })
+          );
+        }
+      }
+
+      // Handle session cancel requests - partial output is kept
+      if (data.type === "cancel_session" && data.sessionId) {
+        const crawl = runningCrawls.get(data.sessionId);
+        if (crawl) {
+          logger.info('Session cancel requested', { sessionId: data.sessionId });
+          ws.send(
+            JSON.stringify({
+              type: "session_cancel_requested",
+              sessionId: data.sessionId,
+              message: "Cancelling crawl and keeping the pages and assets saved so far...",
+            })
+          );
+          await crawl.crawler.cancel();
+        } else {
+          ws.send(
+            JSON.stringify({
+              type: "session_cancel_failed",
+              sessionId: data.sessionId,
+              message: "Only a session that is crawling can be cancelled",
+            })
+          );
+        }
+      }
+
       // Handle session resume requests
-      if (data.type === "resume_session" && data.sessionId) {
-        const session = activeSessions.get(data.sessionId);
+      const pausedCrawl = data.sessionId ? runningCrawls.get(data.sessionId) : null;
+      if (data.type === "resume_session" && pausedCrawl && pausedCrawl.crawler.paused) {
+        // The crawler is still held in memory, so release it where it stopped
+        logger.info('Paused session resume requested', { sessionId: data.sessionId });
+        pausedCrawl.crawler.resume();
+        pausedCrawl.resumeTimeout();
+        requestedSession.status = "crawling";
+        await sessionManager.saveSessions();
+        await sessionManager.saveSessionState(data.sessionId);
+
+        broadcast({
+          type: "status_update",
+          sessionId: requestedSession.id,
+          status: requestedSession.status,
+          progress: requestedSession.progress,
+          totalAssets: requestedSession.assets.length,
+          message: "Crawling resumed",
+        });
+        ws.send(
+          JSON.stringify({
+            type: "session_resumed",
+            sessionId: requestedSession.id,
+            message: "Session resumed successfully",
+          })
+        );
+      } else if (data.type === "resume_session" && data.sessionId) {
+        const session = requestedSession;
         if (session && session.canRecover) {
           logger.info('Session resume requested', { sessionId: data.sessionId });
+
+          // The checkpoint isn't kept in sessions.json, so pick it up from session-state.json
+          if (!session.checkpoint) {
+            await sessionManager.loadSessionState(data.sessionId);
+          }
           session.status = "resuming";
           session.error = null;
 
@@ -370,7 +569,7 @@ wss.on("connection", (ws) => {
           await sessionManager.saveSessions();
           await sessionManager.saveSessionState(data.sessionId);
 
-          // Restart the crawling process
+          // Restart the crawling process - it continues from the checkpoint if there is one
           crawlWebsite(session);
 
           ws.send(
@@ -418,18 +617,25 @@ wss.on("connection", (ws) => {
   });
 });
 
-// Broadcast to all connected clients
+// Broadcast to clients subscribed to the event's session
 function broadcast(data) {
-  logger.debug('Broadcasting WebSocket message', {
-    messageType: data.type,
-    sessionId: data.sessionId,
-    clientCount: wss.clients.size
-  });
+  let recipients = 0;
   wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
+    if (
+      client.readyState === WebSocket.OPEN &&
+      client.subscriptions &&
+      client.subscriptions.has(data.sessionId)
+    ) {
       client.send(JSON.stringify(data));
+      recipients++;
     }
   });
+
+  logger.debug('Broadcasting WebSocket message', {
+    messageType: data.type,
+    sessionId: data.sessionId,
+    recipients
+  });
 }
 
 // API Routes
@@ -495,20 +701,104 @@ app.post("/api/analyze", crawlRateLimit, validateCloneRequest, async (req, res)
 });
 
 // Start cloning process
-app.post("/api/clone", requireAuth, crawlRateLimit, validateCloneRequest, async (req, res) => {
+app.post("/api/clone", requireAuth, crawlRateLimit, validateCloneRequest, startClone);
+
+// Clone from an uploaded HAR (multipart "har" file plus the clone request fields) without network access
+app.post("/api/clone/har", requireAuth, crawlRateLimit, validateHarUpload, validateCloneRequest, startClone);
+
+async function startClone(req, res) {
   try {
-    const { url, options = {} } = req.body;
+    const { url, profile, config: configOverrides, auth = {}, baselineSessionId } = req.body;
+    // Interaction steps can carry passwords (fill values), so they are kept apart from the options
+    const { steps, ...options } = req.body.options || {};
+    const { harArchive } = req;
 
     if (!url) {
       return res.status(400).json({ error: "URL is required" });
     }
 
+    if (harArchive && !harArchive.lookup(url)) {
+      return res.status(400).json({ error: "Invalid HAR file", details: `${url} is not recorded in the HAR` });
+    }
+
+    // Update mode re-clones against a finished session of the same site
+    if (baselineSessionId) {
+      const baselineSession = activeSessions.get(baselineSessionId);
+      if (!baselineSession || !canAccessSession(req.user, baselineSession)) {
+        return res.status(404).json({ error: "Baseline session not found" });
+      }
+      if (baselineSession.status !== "completed") {
+        return res.status(400).json({ error: "Invalid baseline", details: "Baseline session has not completed" });
+      }
+      if (new URL(baselineSession.url).origin !== new URL(url).origin) {
+        return res.status(400).json({ error: "Invalid baseline", details: "Baseline session cloned a different site" });
+      }
+    }
+
+    // Resolve the crawl configuration: profile, then overrides, then the depth option
+    const cloneConfig = new ProClonerConfig();
+    await cloneConfig.initialize();
+
+    if (profile) {
+      if (!cloneConfig.getProfiles().includes(profile)) {
+        return res.status(400).json({
+          error: "Invalid configuration",
+          details: `Unknown profile '${profile}'`,
+          profiles: cloneConfig.getProfiles()
+        });
+      }
+      await cloneConfig.loadProfile(profile);
+    }
+    if (configOverrides) {
+      cloneConfig.applyOverrides(configOverrides);
+    }
+    if (options.depth) {
+      cloneConfig.set('general.maxDepth', options.depth);
+    }
+    // Web archives are built from the crawl's HAR, so it has to record response bodies
+    if (options.exportFormat?.some((format) => format === "warc" || format === "wacz")) {
+      cloneConfig.set('output.captureHar', true);
+      cloneConfig.set('output.harIncludeBodies', true);
+    }
+
+    const { isValid, errors } = cloneConfig.validate();
+    if (!isValid) {
+      return res.status(400).json({
+        error: "Invalid configuration",
+        details: errors.join('; '),
+        errors
+      });
+    }
+
+    // Credentials from the auth body (or network config overrides) are kept encrypted on the
+    // session and taken out of the crawl config, so they never reach persisted state in clear
+    const { network } = cloneConfig.config;
+    let credentials;
+    try {
+      credentials = Credentials.fromRequest(url, {
+        cookies: auth.cookies,
+        username: auth.username || network.httpUsername,
+        password: auth.password || network.httpPassword,
+        bearerToken: auth.bearerToken || network.bearerToken
+      });
+    } catch (error) {
+      return res.status(400).json({ error: "Invalid credentials", details: error.message });
+    }
+    network.httpUsername = null;
+    network.httpPassword = null;
+    network.bearerToken = null;
+
     const sessionId = uuidv4();
     const outputDir = path.join(__dirname, "../temp", sessionId);
 
     // Ensure output directory exists
     await fs.ensureDir(outputDir);
 
+    // The recording stays with the session, so a resumed crawl replays it too
+    if (harArchive) {
+      await fs.writeFile(path.join(outputDir, "source.har"), req.file.buffer);
+    }
+
     // Track usage
     Usage.trackSession(sessionId, req.user.id, url);
 
@@ -517,11 +807,18 @@ app.post("/api/clone", requireAuth, crawlRateLimit, validateCloneRequest, async
       id: sessionId,
       url,
       options,
+      profile: cloneConfig.activeProfile,
+      crawlConfig: cloneConfig.config,
+      credentials: credentials ? credentials.encrypt() : null,
+      steps: steps ? Credentials.seal(steps) : null,
+      baselineSessionId: baselineSessionId || null,
+      source: harArchive ? "har" : "live",
       status: "starting",
       progress: 0,
       outputDir,
       startTime: new Date(),
       assets: [],
+      pages: [],
       payloadAnalysis: null,
       completenessReport: null,
       userId: req.user.id,
@@ -551,10 +848,10 @@ app.post("/api/clone", requireAuth, crawlRateLimit, validateCloneRequest, async
     });
     res.status(500).json({ error: "Failed to start cloning process" });
   }
-});
+}
 
 // Get session status
-app.get("/api/session/:sessionId", validateSessionId, (req, res) => {
+app.get("/api/session/:sessionId", requireAuth, validateSessionId, (req, res) => {
   const { sessionId } = req.params;
   const session = activeSessions.get(sessionId);
 
@@ -562,14 +859,28 @@ app.get("/api/session/:sessionId", validateSessionId, (req, res) => {
     return res.status(404).json({ error: "Session not found" });
   }
 
+  // Check if user owns this session or is admin
+  if (!canAccessSession(req.user, session)) {
+    return res.status(403).json({ error: "Access denied" });
+  }
+
   res.json({
     id: session.id,
     url: session.url,
     status: session.status,
     progress: session.progress,
     assets: session.assets.length,
+    pages: session.pages || [],
+    profile: session.profile || 'default',
+    authenticated: Boolean(session.credentials),
+    baselineSessionId: session.baselineSessionId || null,
+    source: session.source || "live",
+    changeSummary: session.changeSummary || null,
+    processingSummary: session.processingSummary || null,
+    webArchive: recordsArchiveBodies(session),
     startTime: session.startTime,
     error: session.error,
+    errorReport: session.errorReport || null,
   });
 });
 
@@ -604,7 +915,7 @@ app.get('/api/admin/users/:userId/sessions', requireAdmin, (req, res) => {
 });
 
 // Download cloned website
-app.get("/api/download/:sessionId", requireAuth, validateSessionId, async (req, res) => {
+app.get("/api/download/:sessionId", requireAuth, validateSessionId, validateDownloadRequest, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = activeSessions.get(sessionId);
@@ -613,7 +924,8 @@ app.get("/api/download/:sessionId", requireAuth, validateSessionId, async (req,
       return res.status(404).json({ error: "Session not found" });
     }
 
-    if (session.status !== "completed") {
+    // Cancelled sessions keep their partial output, so it can be downloaded too
+    if (session.status !== "completed" && session.status !== "cancelled") {
       return res.status(400).json({ error: "Cloning not completed yet" });
     }
 
@@ -622,10 +934,45 @@ app.get("/api/download/:sessionId", requireAuth, validateSessionId, async (req,
       return res.status(403).json({ error: "Access denied" });
     }
 
+    // Default to the first export format chosen when the clone was started
+    const format = req.query.format || session.options?.exportFormat?.[0] || "zip";
+
     const packageBuilder = new PackageBuilder(session.outputDir);
-    const zipPath = await packageBuilder.createZip();
+    const siteName = session.url.replace(/[^a-zA-Z0-9]/g, "_");
 
-    res.download(zipPath, `${session.url.replace(/[^a-zA-Z0-9]/g, "_")}.zip`);
+    // Web archives are standalone files rather than a packaged site
+    if ((format === "warc" || format === "wacz") && !recordsArchiveBodies(session)) {
+      return res.status(409).json({
+        error: "No web archive for this session",
+        details: "Response bodies were not recorded; start the clone with a WARC or WACZ export format"
+      });
+    }
+
+    let packagePath;
+    let fileName;
+    if (format === "warc") {
+      packagePath = await packageBuilder.createWarc(session);
+      fileName = `${siteName}.warc.gz`;
+    } else if (format === "wacz") {
+      packagePath = await packageBuilder.createWacz(session);
+      fileName = `${siteName}.wacz`;
+    } else {
+      packagePath = await packageBuilder.createZip(format);
+      fileName = format === "zip" ? `${siteName}.zip` : `${siteName}-${format}.zip`;
+    }
+
+    logger.info('Download package created', { sessionId, format });
+
+    // Packages are built per request, so remove the archive once it has been sent
+    res.download(packagePath, fileName, () => {
+      fs.remove(packagePath).catch((error) => {
+        logger.warn('Failed to remove download package', {
+          sessionId,
+          packagePath,
+          error: error.message
+        });
+      });
+    });
   } catch (error) {
     logger.error('Download failed', {
       sessionId: req.params.sessionId,
@@ -636,10 +983,42 @@ app.get("/api/download/:sessionId", requireAuth, validateSessionId, async (req,
   }
 });
 
+// Download the HAR recorded during the crawl
+app.get("/api/download/:sessionId/har", requireAuth, validateSessionId, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = activeSessions.get(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    if (session.userId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    // The HAR is written when the crawl finishes, fails or is cancelled
+    const harPath = path.join(session.outputDir, "crawl.har");
+    if (!(await fs.pathExists(harPath))) {
+      return res.status(404).json({ error: "No HAR recorded for this session" });
+    }
+
+    const siteName = session.url.replace(/[^a-zA-Z0-9]/g, "_");
+    res.download(harPath, `${siteName}.har`);
+  } catch (error) {
+    logger.error('HAR download failed', {
+      sessionId: req.params.sessionId,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({ error: "Failed to download HAR" });
+  }
+});
+
 // Main crawling function
 async function crawlWebsite(session) {
   // Set up session timeout
-  const sessionTimeout = setTimeout(async () => {
+  const onSessionTimeout = async () => {
     logger.warn('Session timeout reached', {
       sessionId: session.id,
       timeoutMinutes: 5,
@@ -656,48 +1035,92 @@ async function crawlWebsite(session) {
       totalAssets: session.assets.length,
       message: "Cloning timed out after 5 minutes",
     });
-  }, config.crawling.sessionTimeoutMs); // Use configurable timeout
+  };
+  let sessionTimeout = setTimeout(onSessionTimeout, config.crawling.sessionTimeoutMs); // Use configurable timeout
+
+  // Time spent paused doesn't count towards the session timeout
+  let timeoutRemaining = config.crawling.sessionTimeoutMs;
+  let timeoutStartedAt = Date.now();
+  let timeoutSuspended = false;
+  const suspendTimeout = () => {
+    if (!timeoutSuspended) {
+      timeoutSuspended = true;
+      clearTimeout(sessionTimeout);
+      timeoutRemaining -= Date.now() - timeoutStartedAt;
+    }
+  };
+  const resumeTimeout = () => {
+    if (timeoutSuspended) {
+      timeoutSuspended = false;
+      timeoutStartedAt = Date.now();
+      sessionTimeout = setTimeout(onSessionTimeout, timeoutRemaining);
+    }
+  };
+
+  // A resumed session continues from its last crawl checkpoint
+  const resumingFromCheckpoint = Boolean(session.checkpoint);
 
   try {
-    // Phase 1: Payload Analysis
-    session.status = "analyzing";
-    await sessionManager.saveSessions(); // Save status change
-    await sessionManager.saveSessionState(session.id); // Save detailed state
-    broadcast({
-      type: "status_update",
-      sessionId: session.id,
-      status: session.status,
-      totalAssets: session.assets.length,
-      message: "Analyzing website payload and determining complete size...",
-    });
+    // Decrypted only for the lifetime of this crawl
+    const credentials = session.credentials ? Credentials.decrypt(session.credentials) : null;
+    const steps = session.steps ? Credentials.unseal(session.steps) : null;
+    // HAR clones never touch the network - every phase reads the recording
+    const harArchive = session.source === "har"
+      ? new HarArchive(await fs.readFile(path.join(session.outputDir, "source.har")))
+      : null;
+
+    // Phase 1: Payload Analysis - already done if resuming from a checkpoint
+    if (resumingFromCheckpoint && session.payloadAnalysis) {
+      logger.info('Reusing payload analysis from checkpoint', {
+        sessionId: session.id,
+        totalAssets: session.payloadAnalysis.totalAssets
+      });
+    } else {
+      session.status = "analyzing";
+      await sessionManager.saveSessions(); // Save status change
+      await sessionManager.saveSessionState(session.id); // Save detailed state
+      broadcast({
+        type: "status_update",
+        sessionId: session.id,
+        status: session.status,
+        totalAssets: session.assets.length,
+        message: "Analyzing website payload and determining complete size...",
+      });
 
-    logger.info('Starting payload analysis for cloning session', {
-      sessionId: session.id,
-      url: session.url
-    });
+      logger.info('Starting payload analysis for cloning session', {
+        sessionId: session.id,
+        url: session.url
+      });
 
-    const analyzer = new PayloadAnalyzer(session.url, session.options);
-    session.payloadAnalysis = await analyzer.analyzePayload();
+      // Analyze with the same engine and login the crawl will use
+      const analyzer = new PayloadAnalyzer(session.url, {
+        ...session.options,
+        browserType: session.crawlConfig?.browser.browserType,
+        credentials,
+        harArchive
+      });
+      session.payloadAnalysis = await analyzer.analyzePayload();
+
+      broadcast({
+        type: "payload_analysis_complete",
+        sessionId: session.id,
+        analysis: {
+          totalAssets: session.payloadAnalysis.totalAssets,
+          estimatedSizeMB: session.payloadAnalysis.totalEstimatedSizeMB,
+          completenessScore: session.payloadAnalysis.completenessScore,
+          criticalAssets: session.payloadAnalysis.criticalAssets,
+          estimatedDownloadTime: session.payloadAnalysis.estimatedDownloadTime
+        },
+        message: `Payload analysis complete: ${session.payloadAnalysis.totalAssets} assets, ${session.payloadAnalysis.totalEstimatedSizeMB}MB estimated`,
+      });
 
-    broadcast({
-      type: "payload_analysis_complete",
-      sessionId: session.id,
-      analysis: {
+      logger.info('Payload analysis completed for session', {
+        sessionId: session.id,
         totalAssets: session.payloadAnalysis.totalAssets,
         estimatedSizeMB: session.payloadAnalysis.totalEstimatedSizeMB,
-        completenessScore: session.payloadAnalysis.completenessScore,
-        criticalAssets: session.payloadAnalysis.criticalAssets,
-        estimatedDownloadTime: session.payloadAnalysis.estimatedDownloadTime
-      },
-      message: `Payload analysis complete: ${session.payloadAnalysis.totalAssets} assets, ${session.payloadAnalysis.totalEstimatedSizeMB}MB estimated`,
-    });
-
-    logger.info('Payload analysis completed for session', {
-      sessionId: session.id,
-      totalAssets: session.payloadAnalysis.totalAssets,
-      estimatedSizeMB: session.payloadAnalysis.totalEstimatedSizeMB,
-      completenessScore: session.payloadAnalysis.completenessScore
-    });
+        completenessScore: session.payloadAnalysis.completenessScore
+      });
+    }
 
     // Phase 2: Start Crawling with known payload information
     session.status = "crawling";
@@ -709,13 +1132,34 @@ async function crawlWebsite(session) {
       status: session.status,
       totalAssets: session.assets.length,
       expectedAssets: session.payloadAnalysis.totalAssets,
-      message: "Starting website crawling with complete payload knowledge...",
+      message: resumingFromCheckpoint
+        ? "Resuming website crawling from the last checkpoint..."
+        : "Starting website crawling with complete payload knowledge...",
     });
 
+    // Without a checkpoint pages are re-crawled from the start page, so start a fresh page list
+    if (!resumingFromCheckpoint) {
+      session.pages = [];
+    }
+
+    // Update mode: unchanged assets are revalidated and copied from the baseline session
+    let baseline = null;
+    if (session.baselineSessionId) {
+      const baselineSession = activeSessions.get(session.baselineSessionId);
+      if (!baselineSession) {
+        throw new Error(`Baseline session ${session.baselineSessionId} is no longer available`);
+      }
+      baseline = await UpdateBaseline.fromSession(baselineSession);
+    }
+
     // Initialize crawlers
     const smartCrawler = new SmartCrawler({
       outputDir: session.outputDir,
-      timeout: 120000, // 2 minute timeout
+      crawlConfig: session.crawlConfig,
+      credentials,
+      steps,
+      baseline,
+      harArchive,
       onProgress: async (progress) => {
         session.progress = progress;
 
@@ -752,7 +1196,65 @@ async function crawlWebsite(session) {
           message: `Found ${asset.type}: ${fileName}`,
         });
       },
+      onPageCrawled: async (page) => {
+        session.pages.push(page);
+        await sessionManager.saveSessionState(session.id);
+
+        broadcast({
+          type: "page_crawled",
+          sessionId: session.id,
+          page: page,
+          totalPages: session.pages.length,
+          message: `Crawled page (depth ${page.depth}): ${page.url}`,
+        });
+      },
+      onStepCompleted: async (step) => {
+        const outcome = step.success ? "succeeded" : step.optional ? "failed (optional, continuing)" : "failed";
+        broadcast({
+          type: "interaction_step",
+          sessionId: session.id,
+          step,
+          message: `${step.phase === "beforeCrawl" ? "Pre-crawl" : "Page"} step ${step.index}/${step.total} ${
+            step.label || `${step.action} ${step.target}`
+          } ${outcome} (${step.durationMs}ms)${step.error ? `: ${step.error}` : ""}`,
+        });
+      },
+      onCheckpoint: async (checkpoint) => {
+        session.checkpoint = checkpoint;
+        await sessionManager.saveSessionState(session.id);
+      },
+      onPaused: async (checkpoint) => {
+        suspendTimeout();
+        session.status = "paused";
+        await sessionManager.saveSessions();
+        await sessionManager.saveSessionState(session.id);
+
+        const pendingAssets = checkpoint.assets.filter((asset) => !asset.downloaded).length;
+        broadcast({
+          type: "status_update",
+          sessionId: session.id,
+          status: session.status,
+          progress: session.progress,
+          totalAssets: session.assets.length,
+          message: `Cloning paused: ${checkpoint.frontier.length} pages and ${pendingAssets} assets left`,
+        });
+      },
     });
+    runningCrawls.set(session.id, { crawler: smartCrawler, resumeTimeout });
+
+    if (resumingFromCheckpoint) {
+      // The crawler's restored assets carry on the session's asset list
+      session.assets = smartCrawler.restoreCheckpoint(session.checkpoint);
+
+      const downloadedAssets = session.assets.filter((asset) => asset.downloaded).length;
+      broadcast({
+        type: "status_update",
+        sessionId: session.id,
+        status: session.status,
+        totalAssets: session.assets.length,
+        message: `Restored checkpoint: ${session.pages.length} pages crawled, ${downloadedAssets}/${session.assets.length} assets already downloaded`,
+      });
+    }
 
     // Start crawling
     logger.info('Starting website crawl', {
@@ -760,7 +1262,41 @@ async function crawlWebsite(session) {
       url: session.url,
       options: session.options
     });
-    const result = await smartCrawler.crawl(session.url, session.options);
+    let result;
+    try {
+      result = await smartCrawler.crawl(session.url, session.options);
+    } finally {
+      runningCrawls.delete(session.id);
+    }
+
+    // Failed downloads and URLs skipped for robots.txt or URL filters, kept for the session report
+    session.errorReport = result?.errorReport || null;
+
+    if (result && result.cancelled) {
+      clearTimeout(sessionTimeout);
+      session.status = "cancelled";
+      session.completedAt = new Date();
+      await sessionManager.saveSessions(); // Save cancelled status
+      await sessionManager.saveSessionState(session.id); // Keep state next to the partial output
+
+      logger.info('Cloning session cancelled', {
+        sessionId: session.id,
+        pagesVisited: result.pagesVisited,
+        assetsDownloaded: result.downloadStats?.downloaded || 0
+      });
+
+      broadcast({
+        type: "status_update",
+        sessionId: session.id,
+        status: session.status,
+        progress: session.progress,
+        totalAssets: session.assets.length,
+        message: `Cloning cancelled. Kept ${session.pages.length} pages and ${
+          result.downloadStats?.downloaded || 0
+        } downloaded assets.`,
+      });
+      return;
+    }
 
     if (!result || !result.success) {
       throw new Error(`Crawling failed: ${result?.error || "Unknown error"}`);
@@ -773,6 +1309,22 @@ async function crawlWebsite(session) {
       success: true
     });
 
+    if (result.changeSummary) {
+      session.changeSummary = result.changeSummary;
+      const { pages, assets } = result.changeSummary;
+      broadcast({
+        type: "status_update",
+        sessionId: session.id,
+        status: session.status,
+        changeSummary: result.changeSummary,
+        message: `Changes since baseline: pages ${pages.added.length} added, ${pages.changed.length} changed, ${
+          pages.removed.length
+        } removed; assets ${assets.added.length} added, ${assets.changed.length} changed, ${
+          assets.removed.length
+        } removed, ${assets.unchanged} unchanged`,
+      });
+    }
+
     // Phase 3: Completeness Verification
     session.status = "verifying";
     await sessionManager.saveSessions(); // Save status change
@@ -804,7 +1356,7 @@ async function crawlWebsite(session) {
       expectedAssets.set(asset.url, asset);
     });
 
-    const verifier = new CompletenessVerifier(session.outputDir, expectedAssets);
+    const verifier = new CompletenessVerifier(session.outputDir, expectedAssets, { harArchive });
     session.completenessReport = await verifier.verifyCompleteness(discoveredAssets);
 
     broadcast({
@@ -846,8 +1398,46 @@ async function crawlWebsite(session) {
       sessionId: session.id,
       totalAssets: session.assets.length
     });
-    const assetHunter = new AssetHunter(session.outputDir);
-    await assetHunter.processAssets(session.assets);
+    const assetConfig = session.crawlConfig?.assets || {};
+    const assetHunter = new AssetHunter(session.outputDir, {
+      sessionId: session.id,
+      // Recompressing is opt-in: the request's choice, else the crawl profile's
+      optimizeImages: session.options?.optimizeImages ?? assetConfig.optimizeImages === true,
+      generateServiceWorker: session.options?.generateServiceWorker !== false,
+      convertWebP: assetConfig.convertWebP,
+      convertAVIF: assetConfig.convertAVIF,
+      responsiveWidths: assetConfig.responsiveWidths,
+      maxImageDimensions: assetConfig.maxImageDimensions,
+      extractModelTextures: assetConfig.extractModelTextures,
+      // The variants pass maps <img> sources the way the crawler rewrote them
+      buildToolInfo: smartCrawler.detectedBuildTool,
+      outputOptions: session.crawlConfig?.output,
+      onProgress: ({ processed, total }) => {
+        broadcast({
+          type: "asset_processing",
+          sessionId: session.id,
+          processed,
+          total,
+          message: `Processed ${processed}/${total} downloaded assets`,
+        });
+      },
+    });
+    session.processingSummary = await assetHunter.processAssets(session.assets, session.pages);
+
+    const { optimizedImages, bytesSaved, imageVariants, extractedTextures } = session.processingSummary;
+    if (optimizedImages > 0 || imageVariants > 0 || extractedTextures > 0) {
+      broadcast({
+        type: "asset_processing",
+        sessionId: session.id,
+        processed: session.processingSummary.processed,
+        total: session.processingSummary.processed + session.processingSummary.failed,
+        message: [
+          optimizedImages > 0 && `Optimized ${optimizedImages} images, saving ${(bytesSaved / 1024 / 1024).toFixed(2)}MB`,
+          imageVariants > 0 && `Generated ${imageVariants} WebP/AVIF and resized image variants`,
+          extractedTextures > 0 && `Extracted ${extractedTextures} textures embedded in 3D models`,
+        ].filter(Boolean).join("; "),
+      });
+    }
 
     // Create path mapping symlinks to fix image loading issues
     logger.info('Creating path mapping symlinks', {
@@ -866,6 +1456,7 @@ async function crawlWebsite(session) {
     session.status = "completed";
     session.progress = 100;
     session.completedAt = new Date();
+    session.checkpoint = null; // Nothing left to resume
     
     // Calculate final stats
     const totalSize = session.assets.reduce((sum, asset) => sum + (asset.size || 0), 0);
@@ -1,38 +1,42 @@
 const Joi = require('joi');
+const multer = require('multer');
 const { config } = require('../config');
 const { logSecurityEvent } = require('../utils/logger');
+const HarArchive = require('../utils/HarArchive');
+
+// Block internal/localhost URLs in production
+const assertPublicUrl = (value) => {
+  if (config.nodeEnv === 'production') {
+    const url = new URL(value);
+    const hostname = url.hostname.toLowerCase();
+    
+    // Block localhost, internal IPs, and private networks
+    const blockedPatterns = [
+      /^localhost$/,
+      /^127\./,
+      /^192\.168\./,
+      /^10\./,
+      /^172\.(1[6-9]|2[0-9]|3[0-1])\./,
+      /^169\.254\./,
+      /^::1$/,
+      /^fc00:/,
+      /^fe80:/
+    ];
+    
+    if (blockedPatterns.some(pattern => pattern.test(hostname))) {
+      throw new Error('Internal/localhost URLs are not allowed');
+    }
+  }
+  
+  return value;
+};
 
 // URL validation schema
 const urlSchema = Joi.string()
   .uri({ scheme: ['http', 'https'] })
   .max(2048)
   .required()
-  .custom((value, helpers) => {
-    // Block internal/localhost URLs in production
-    if (config.nodeEnv === 'production') {
-      const url = new URL(value);
-      const hostname = url.hostname.toLowerCase();
-      
-      // Block localhost, internal IPs, and private networks
-      const blockedPatterns = [
-        /^localhost$/,
-        /^127\./,
-        /^192\.168\./,
-        /^10\./,
-        /^172\.(1[6-9]|2[0-9]|3[0-1])\./,
-        /^169\.254\./,
-        /^::1$/,
-        /^fc00:/,
-        /^fe80:/
-      ];
-      
-      if (blockedPatterns.some(pattern => pattern.test(hostname))) {
-        throw new Error('Internal/localhost URLs are not allowed');
-      }
-    }
-    
-    return value;
-  });
+  .custom(assertPublicUrl);
 
 // Asset types enum
 const assetTypes = [
@@ -41,22 +45,117 @@ const assetTypes = [
 ];
 
 // Export formats enum
-const exportFormats = ['zip', 'github', 'vscode', 'docker', 'netlify'];
+const exportFormats = ['zip', 'github', 'vscode', 'docker', 'netlify', 'warc', 'wacz'];
+
+// Scripted interaction step - the fields an action needs are required for it
+const stepActions = ['goto', 'fill', 'click', 'waitForSelector', 'press', 'evaluate'];
+const interactionStepSchema = Joi.object({
+  action: Joi.string().valid(...stepActions).required(),
+  // goto URLs may be relative to the cloned URL
+  url: Joi.string().max(2048).when('action', { is: 'goto', then: Joi.required(), otherwise: Joi.forbidden() })
+    .custom((value) => {
+      const resolved = new URL(value, 'http://relative.invalid');
+      if (!['http:', 'https:'].includes(resolved.protocol)) {
+        throw new Error('Step URLs must be http(s)');
+      }
+      assertPublicUrl(resolved.href);
+      return value;
+    }),
+  selector: Joi.string().max(1024).when('action', {
+    is: Joi.valid('fill', 'click', 'waitForSelector'),
+    then: Joi.required()
+  }),
+  value: Joi.string().max(4096).allow('').when('action', { is: 'fill', then: Joi.required(), otherwise: Joi.forbidden() }),
+  key: Joi.string().max(50).when('action', { is: 'press', then: Joi.required(), otherwise: Joi.forbidden() }),
+  script: Joi.string().max(10000).when('action', { is: 'evaluate', then: Joi.required(), otherwise: Joi.forbidden() }),
+  waitForNavigation: Joi.boolean(),
+  timeout: Joi.number().integer().min(100).max(60000),
+  optional: Joi.boolean(),
+  label: Joi.string().max(200)
+});
 
 // Cloning options schema
 const cloningOptionsSchema = Joi.object({
-  depth: Joi.number().integer().min(1).max(config.crawling.maxDepth).default(config.crawling.defaultDepth),
+  // No default: without a depth the crawl profile's maxDepth applies
+  depth: Joi.number().integer().min(1).max(config.crawling.maxDepth),
   includeAssets: Joi.array().items(Joi.string().valid(...assetTypes)).default(assetTypes),
-  optimizeImages: Joi.boolean().default(true),
+  // No default: without it the crawl profile's assets.optimizeImages applies
+  optimizeImages: Joi.boolean(),
   generateServiceWorker: Joi.boolean().default(true),
-  exportFormat: Joi.array().items(Joi.string().valid(...exportFormats)).min(1).default(['zip'])
+  exportFormat: Joi.array().items(Joi.string().valid(...exportFormats)).min(1).default(['zip']),
+  // beforeCrawl runs once (login, consent), everyPage after each page load (banners, tabs)
+  steps: Joi.object({
+    beforeCrawl: Joi.array().items(interactionStepSchema).max(50),
+    everyPage: Joi.array().items(interactionStepSchema).max(20)
+  })
+});
+
+// Credentials for sites behind a login - cookies as cookies.txt text or a JSON cookie set
+const authSchema = Joi.object({
+  cookies: Joi.alternatives().try(
+    Joi.string().max(1024 * 1024),
+    Joi.array().items(Joi.object().unknown(true)).max(1000)
+  ),
+  username: Joi.string().max(256),
+  password: Joi.string().max(1024).allow(''),
+  bearerToken: Joi.string().max(8192)
 });
 
+// Download query schema - the package layout to build
+const downloadQuerySchema = Joi.object({
+  format: Joi.string().valid(...exportFormats)
+});
+
+// Clone request as the security log may keep it - credentials and the values steps type
+// (login passwords) are replaced, whatever shape they came in
+const REDACTED = '[REDACTED]';
+const NETWORK_SECRETS = ['httpUsername', 'httpPassword', 'bearerToken'];
+const redactCloneRequest = (body) => {
+  if (!body || typeof body !== 'object') {
+    return body;
+  }
+
+  const redacted = { ...body };
+  if (body.auth !== undefined) {
+    redacted.auth = REDACTED;
+  }
+
+  const steps = body.options?.steps;
+  if (steps && typeof steps === 'object') {
+    redacted.options = {
+      ...body.options,
+      steps: Object.fromEntries(Object.entries(steps).map(([phase, list]) => [
+        phase,
+        Array.isArray(list)
+          ? list.map(step => (step && typeof step === 'object' && step.value !== undefined ? { ...step, value: REDACTED } : step))
+          : list
+      ]))
+    };
+  }
+
+  const network = body.config?.network;
+  if (network && typeof network === 'object') {
+    redacted.config = {
+      ...body.config,
+      network: Object.fromEntries(Object.entries(network).map(([key, value]) =>
+        [key, NETWORK_SECRETS.includes(key) && value ? REDACTED : value]
+      ))
+    };
+  }
+  return redacted;
+};
+
 // Clone request validation
 const validateCloneRequest = (req, res, next) => {
   const schema = Joi.object({
     url: urlSchema,
-    options: cloningOptionsSchema.default({})
+    options: cloningOptionsSchema.default({}),
+    // Built-in ProClonerConfig profile plus partial overrides, checked by ProClonerConfig.validate()
+    profile: Joi.string().max(50),
+    config: Joi.object().unknown(true),
+    auth: authSchema,
+    // Update mode: a completed session of the same site to re-clone against
+    baselineSessionId: Joi.string().uuid()
   });
 
   const { error, value } = schema.validate(req.body, { allowUnknown: false });
@@ -67,7 +166,7 @@ const validateCloneRequest = (req, res, next) => {
       error: error.details[0].message,
       path: error.details[0].path,
       url: req.url,
-      body: req.body
+      body: redactCloneRequest(req.body)
     });
     
     return res.status(400).json({ 
@@ -82,6 +181,60 @@ const validateCloneRequest = (req, res, next) => {
   next();
 };
 
+// HAR upload for cloning from recorded traffic - kept in memory, it's parsed straight away
+const harUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.storage.maxHarUploadMB * 1024 * 1024, files: 1 }
+}).single('har');
+
+// HAR clone request: parses the uploaded HAR into req.harArchive and turns the JSON form
+// fields back into the clone request body, for validateCloneRequest to check next
+const validateHarUpload = (req, res, next) => {
+  harUpload(req, res, (uploadError) => {
+    if (uploadError) {
+      logSecurityEvent('INVALID_FILE_UPLOAD', {
+        ip: req.ip,
+        error: uploadError.message,
+        url: req.url
+      });
+      return res.status(400).json({ error: 'Invalid upload', details: uploadError.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No HAR file uploaded', field: 'har' });
+    }
+
+    let harArchive;
+    try {
+      harArchive = new HarArchive(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid HAR file', details: error.message });
+    }
+    if (harArchive.size === 0) {
+      return res.status(400).json({ error: 'Invalid HAR file', details: 'HAR has no recorded responses' });
+    }
+
+    // Multipart fields are strings
+    const body = { ...req.body };
+    for (const field of ['options', 'config', 'auth']) {
+      if (typeof body[field] === 'string') {
+        try {
+          body[field] = JSON.parse(body[field]);
+        } catch (error) {
+          return res.status(400).json({ error: 'Invalid request data', details: `${field} must be JSON`, field });
+        }
+      }
+    }
+
+    // Without a URL the clone starts at the first page the HAR recorded
+    body.url = body.url || harArchive.getStartUrl() || undefined;
+
+    req.body = body;
+    req.harArchive = harArchive;
+    next();
+  });
+};
+
 // Session ID validation middleware
 const validateSessionId = (req, res, next) => {
   const sessionId = req.params.sessionId || req.body.sessionId;
@@ -113,7 +266,8 @@ const validateSessionId = (req, res, next) => {
 const validateWebSocketMessage = (message) => {
   const schema = Joi.object({
     type: Joi.string().valid(
-      'recover_session', 'resume_session', 'pause_session', 'cancel_session'
+      'recover_session', 'resume_session', 'pause_session', 'cancel_session',
+      'subscribe', 'unsubscribe'
     ).required(),
     sessionId: Joi.string().uuid(),
     data: Joi.object().unknown(true)
@@ -197,6 +351,9 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Download request validation
+const validateDownloadRequest = validate(downloadQuerySchema, 'query');
+
 // URL sanitization helper
 const sanitizeUrl = (url) => {
   try {
@@ -220,11 +377,16 @@ module.exports = {
   validateSessionId,
   validateWebSocketMessage,
   validateFileUpload,
+  validateHarUpload,
+  validateDownloadRequest,
   validate,
   sanitizeUrl,
   // Export schemas for reuse
   schemas: {
     url: urlSchema,
-    cloningOptions: cloningOptionsSchema
+    cloningOptions: cloningOptionsSchema,
+    auth: authSchema,
+    interactionStep: interactionStepSchema,
+    downloadQuery: downloadQuerySchema
   }
 };
\ No newline at end of file
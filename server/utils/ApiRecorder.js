@@ -0,0 +1,338 @@
+/**
+ * API Recorder
+ * Records the same-origin XHR/fetch responses an SPA loads while it is
+ * crawled, and writes them with a small browser shim that answers the same
+ * requests from the recordings - so a clone opened without network renders
+ * its data like the original did. Served over http the shim reads
+ * recordings.json; opened from disk it can only use the recordings inlined
+ * into it
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+// JSON, GraphQL, XML and plain text APIs - binary responses are left to the asset pipeline
+const API_CONTENT_TYPE = /json|xml|^text\//i;
+const MAX_RECORDED_BODY = 2 * 1024 * 1024;
+// Every page loads the shim before its own scripts, so only this much is inlined for file://
+const MAX_INLINED_RECORDINGS = 512 * 1024;
+// Bodies are stored decoded; the browser sets cookies and lengths itself
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'set-cookie'];
+// Requests that carry the crawl's login; what they return belongs to that account
+const CREDENTIAL_HEADERS = ['authorization', 'cookie'];
+
+class ApiRecorder {
+  /**
+   * @param {Object} options - origin of the cloned site, and redact to skip requests with a
+   *   body (logins, tokens) or credentials (authenticated reads) on logged-in crawls
+   */
+  constructor({ origin, redact = false }) {
+    this.origin = origin;
+    this.redact = redact;
+    this.recordings = new Map(); // "METHOD path body" -> recording
+    this.pending = new Set(); // Recordings still reading their response body
+  }
+
+  /**
+   * Record the API calls of a browser page (a BrowserDriver page wrapper)
+   */
+  attach(page) {
+    page.onRequestFinished((exchange) => {
+      if (!this._isApiCall(exchange)) {
+        return;
+      }
+
+      const recording = this._record(exchange)
+        .catch((error) => {
+          logger.debug('Failed to record API response', {
+            component: 'ApiRecorder',
+            url: exchange.request.url,
+            error: error.message
+          });
+        })
+        .finally(() => this.pending.delete(recording));
+      this.pending.add(recording);
+    });
+  }
+
+  /**
+   * Continue the recordings of an earlier run of the same session (resumed crawls)
+   */
+  async load(mocksDir) {
+    const filePath = path.join(mocksDir, 'recordings.json');
+    if (!(await fs.pathExists(filePath))) {
+      return;
+    }
+
+    try {
+      const { recordings } = await fs.readJson(filePath);
+      for (const recording of recordings) {
+        this.recordings.set(this._key(recording.method, recording.path, recording.requestBody), recording);
+      }
+    } catch (error) {
+      logger.warn('Failed to load existing API recordings, starting over', {
+        component: 'ApiRecorder',
+        filePath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Write recordings.json and the api-mock.js shim into mocksDir
+   * @returns {string|null} path of the shim, or null when no API calls were recorded
+   */
+  async save(mocksDir) {
+    await Promise.allSettled(Array.from(this.pending));
+    if (this.recordings.size === 0) {
+      return null;
+    }
+
+    const recordings = Array.from(this.recordings.values());
+    const scriptPath = path.join(mocksDir, 'api-mock.js');
+    await fs.ensureDir(mocksDir);
+    await fs.writeJson(path.join(mocksDir, 'recordings.json'), {
+      origin: this.origin,
+      recordedAt: new Date(),
+      recordings
+    }, { spaces: 2 });
+
+    // The shim can't fetch recordings.json from file://, so it carries what fits of them itself
+    const inlined = [];
+    let inlinedSize = 0;
+    for (const recording of recordings) {
+      const size = Buffer.byteLength(recording.body);
+      if (inlinedSize + size <= MAX_INLINED_RECORDINGS) {
+        inlined.push(recording);
+        inlinedSize += size;
+      }
+    }
+
+    await fs.writeFile(
+      scriptPath,
+      `/* API responses recorded by ProCloner, replayed when the clone runs offline */\n` +
+      `(${apiMockShim.toString()})(${JSON.stringify(inlined)}, ${JSON.stringify(this.origin)});\n`
+    );
+
+    logger.info('Saved API recordings', {
+      component: 'ApiRecorder',
+      mocksDir,
+      recordings: recordings.length,
+      inlined: inlined.length
+    });
+
+    return scriptPath;
+  }
+
+  _isApiCall({ request, response }) {
+    if (!response || (request.resourceType !== 'xhr' && request.resourceType !== 'fetch')) {
+      return false;
+    }
+    if (this.redact && (request.postData || this._sendsCredentials(request))) {
+      return false;
+    }
+
+    try {
+      return new URL(request.url).origin === this.origin;
+    } catch {
+      return false;
+    }
+  }
+
+  _sendsCredentials({ headers = {} }) {
+    return Object.keys(headers).some((name) => CREDENTIAL_HEADERS.includes(name.toLowerCase()));
+  }
+
+  async _record({ request, response, body }) {
+    const headers = Object.fromEntries(
+      Object.entries(response.headers)
+        .map(([name, value]) => [name.toLowerCase(), value])
+        .filter(([name]) => !name.startsWith(':') && !DROPPED_HEADERS.includes(name))
+    );
+
+    // A 304 only says the browser's cached copy is current - there's nothing to replay
+    if (response.status === 304) {
+      return;
+    }
+
+    const nullBody = response.status === 204;
+    if (!nullBody && !API_CONTENT_TYPE.test(headers['content-type'] || '')) {
+      return;
+    }
+
+    const buffer = nullBody ? Buffer.alloc(0) : await body();
+    if (!buffer || buffer.length > MAX_RECORDED_BODY) {
+      return;
+    }
+
+    const { pathname, search } = new URL(request.url);
+    const recording = {
+      method: request.method.toUpperCase(),
+      path: `${pathname}${search}`,
+      requestBody: request.postData || null,
+      status: response.status,
+      statusText: response.statusText || '',
+      headers,
+      body: buffer.toString('utf8')
+    };
+
+    // The latest successful response wins; an error or an empty body never replaces one
+    const key = this._key(recording.method, recording.path, recording.requestBody);
+    const existing = this.recordings.get(key);
+    const replaces = !existing || existing.status >= 400 ||
+      (recording.status < 400 && (recording.body !== '' || existing.body === ''));
+    if (replaces) {
+      this.recordings.set(key, recording);
+    }
+  }
+
+  _key(method, requestPath, requestBody) {
+    return `${method} ${requestPath} ${requestBody || ''}`;
+  }
+}
+
+/**
+ * Runs in the cloned page (serialized into api-mock.js) - patches fetch and
+ * XMLHttpRequest to answer recorded calls; anything else goes to the network
+ */
+function apiMockShim(inlinedRecordings, origin) {
+  const NULL_BODY_STATUSES = [101, 204, 205, 304];
+  const originalFetch = window.fetch;
+
+  // Over http the full set comes from recordings.json next to this script; calls made before
+  // it arrives wait for it
+  let recordings = inlinedRecordings;
+  const script = document.currentScript;
+  const ready = location.protocol === 'file:' || !script || !originalFetch
+    ? Promise.resolve()
+    : originalFetch.call(window, new URL('recordings.json', script.src).href)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (data && Array.isArray(data.recordings)) {
+          recordings = data.recordings;
+        }
+      })
+      .catch(() => {});
+
+  const find = (method, url, body) => {
+    let resolved;
+    try {
+      resolved = new URL(url, document.baseURI);
+    } catch (error) {
+      return null;
+    }
+
+    // Calls to the original site, or to wherever the clone is served from
+    const fromClone = resolved.origin !== origin;
+    if (fromClone && resolved.origin !== location.origin && resolved.protocol !== 'file:') {
+      return null;
+    }
+
+    const target = `${resolved.pathname}${resolved.search}`;
+    const matches = recordings.filter((recording) =>
+      recording.method === method &&
+      // Served from a subfolder (or file://), root-relative API paths end up prefixed
+      (recording.path === target || (fromClone && target.endsWith(recording.path)))
+    );
+
+    return matches.find((recording) => (recording.requestBody || null) === (body || null)) ||
+      matches[0] ||
+      null;
+  };
+
+  if (originalFetch) {
+    window.fetch = async function (input, init) {
+      const options = init || {};
+      const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+      const url = isRequest ? input.url : String(input);
+      const method = (options.method || (isRequest ? input.method : 'GET')).toUpperCase();
+      let body = typeof options.body === 'string' ? options.body : null;
+      if (!body && isRequest && method !== 'GET' && method !== 'HEAD') {
+        body = await input.clone().text();
+      }
+
+      await ready;
+      const recording = find(method, url, body);
+      if (!recording) {
+        return originalFetch.apply(this, arguments);
+      }
+
+      return new Response(NULL_BODY_STATUSES.includes(recording.status) ? null : recording.body, {
+        status: recording.status,
+        statusText: recording.statusText,
+        headers: recording.headers
+      });
+    };
+  }
+
+  const OriginalXHR = window.XMLHttpRequest;
+  if (OriginalXHR) {
+    const { open, send } = OriginalXHR.prototype;
+
+    OriginalXHR.prototype.open = function (method, url, async) {
+      this.apiMockRequest = { method: String(method).toUpperCase(), url: String(url), sync: async === false };
+      return open.apply(this, arguments);
+    };
+
+    OriginalXHR.prototype.send = function (body) {
+      const xhr = this;
+      const args = arguments;
+      // Synchronous requests can't wait for recordings.json, so they use what has arrived
+      if (!xhr.apiMockRequest || xhr.apiMockRequest.sync) {
+        return replay(xhr, body, args);
+      }
+      ready.then(() => replay(xhr, body, args));
+    };
+
+    const replay = (xhr, body, args) => {
+      const recording = xhr.apiMockRequest &&
+        find(xhr.apiMockRequest.method, xhr.apiMockRequest.url, typeof body === 'string' ? body : null);
+      if (!recording) {
+        return send.apply(xhr, args);
+      }
+
+      const contentType = recording.headers['content-type'] || '';
+      let response = recording.body;
+      if (xhr.responseType === 'json') {
+        try {
+          response = JSON.parse(recording.body);
+        } catch (error) {
+          response = null;
+        }
+      } else if (xhr.responseType === 'arraybuffer') {
+        response = new TextEncoder().encode(recording.body).buffer;
+      } else if (xhr.responseType === 'blob') {
+        response = new Blob([recording.body], { type: contentType });
+      } else if (xhr.responseType === 'document') {
+        response = new DOMParser().parseFromString(recording.body, /xml/.test(contentType) ? 'application/xml' : 'text/html');
+      }
+
+      const define = (name, value) => Object.defineProperty(xhr, name, { configurable: true, get: () => value });
+      define('readyState', 4);
+      define('status', recording.status);
+      define('statusText', recording.statusText);
+      define('responseURL', new URL(xhr.apiMockRequest.url, document.baseURI).href);
+      define('response', response);
+      if (xhr.responseType === '' || xhr.responseType === 'text') {
+        define('responseText', recording.body);
+      }
+      xhr.getResponseHeader = (name) => recording.headers[String(name).toLowerCase()] || null;
+      xhr.getAllResponseHeaders = () => Object.entries(recording.headers)
+        .map(([name, value]) => `${name}: ${value}\r\n`)
+        .join('');
+
+      // Real responses always arrive asynchronously
+      setTimeout(() => {
+        const size = recording.body.length;
+        ['readystatechange', 'load', 'loadend'].forEach((type) => {
+          xhr.dispatchEvent(type === 'readystatechange'
+            ? new Event(type)
+            : new ProgressEvent(type, { lengthComputable: true, loaded: size, total: size }));
+        });
+      }, 0);
+    };
+  }
+}
+
+module.exports = ApiRecorder;
@@ -0,0 +1,339 @@
+/**
+ * Browser Driver Layer
+ * One page API over the browser engines a crawl can run on. Chromium, Firefox
+ * and WebKit all run on Playwright, so request interception, HAR timings and
+ * recorded responses take the same code path on every engine - the crawl
+ * pipeline only talks to the wrappers below
+ */
+
+const playwright = require('playwright');
+const { logger } = require('./logger');
+
+const BROWSER_TYPES = ['chromium', 'firefox', 'webkit'];
+
+// Named device descriptors ("iPhone 13", "Pixel 5", "iPad Pro 11 landscape", ...)
+const { devices } = playwright;
+
+// The crawl pipeline's wait conditions (networkidle0/2) mapped to their closest Playwright equivalent
+const PLAYWRIGHT_WAIT_UNTIL = {
+  networkidle0: 'networkidle',
+  networkidle2: 'networkidle',
+  load: 'load',
+  domcontentloaded: 'domcontentloaded'
+};
+
+// Request phases as millisecond offsets from the request start, -1 when a phase didn't happen
+function playwrightPhases(timing) {
+  return {
+    dnsStart: timing.domainLookupStart,
+    dnsEnd: timing.domainLookupEnd,
+    connectStart: timing.connectStart,
+    connectEnd: timing.connectEnd,
+    sslStart: timing.secureConnectionStart,
+    sslEnd: timing.secureConnectionStart >= 0 ? timing.connectEnd : -1,
+    sendStart: timing.requestStart,
+    sendEnd: timing.requestStart,
+    responseStart: timing.responseStart,
+    responseEnd: timing.responseEnd
+  };
+}
+
+class PlaywrightPage {
+  constructor(context, page, engine) {
+    this.context = context;
+    this.native = page;
+    this.engine = engine;
+    this.requestFilter = null;
+    this.requestHeaders = null;
+    this.requestResponder = null;
+    this.intercepting = false;
+  }
+
+  goto(url, options = {}) {
+    return this.native.goto(url, {
+      ...options,
+      waitUntil: PLAYWRIGHT_WAIT_UNTIL[options.waitUntil] || 'load'
+    });
+  }
+
+  evaluate(fn, arg) {
+    return this.native.evaluate(fn, arg);
+  }
+
+  waitForFunction(fn, options = {}) {
+    return this.native.waitForFunction(fn, undefined, options);
+  }
+
+  content() {
+    return this.native.content();
+  }
+
+  url() {
+    return this.native.url();
+  }
+
+  setDefaultTimeout(ms) {
+    this.native.setDefaultTimeout(ms);
+  }
+
+  click(selector, options = {}) {
+    return this.native.click(selector, options);
+  }
+
+  fill(selector, value, options = {}) {
+    return this.native.fill(selector, value, options);
+  }
+
+  press(key, selector, options = {}) {
+    return selector
+      ? this.native.press(selector, key, options)
+      : this.native.keyboard.press(key);
+  }
+
+  waitForSelector(selector, options = {}) {
+    return this.native.waitForSelector(selector, options);
+  }
+
+  waitForNavigation(options = {}) {
+    return this.native.waitForNavigation({
+      ...options,
+      waitUntil: PLAYWRIGHT_WAIT_UNTIL[options.waitUntil] || 'load'
+    });
+  }
+
+  getCookies() {
+    return this.context.cookies();
+  }
+
+  async setRequestFilter(filter) {
+    this.requestFilter = filter;
+    await this._interceptRequests();
+  }
+
+  async setRequestHeaders(headersFor) {
+    this.requestHeaders = headersFor;
+    await this._interceptRequests();
+  }
+
+  async setRequestResponder(responder) {
+    this.requestResponder = responder;
+    await this._interceptRequests();
+  }
+
+  async setCookies(cookies) {
+    await this.context.addCookies(cookies);
+  }
+
+  async _interceptRequests() {
+    if (this.intercepting) {
+      return;
+    }
+    this.intercepting = true;
+
+    await this.native.route('**/*', (route) => {
+      const request = route.request();
+      const url = request.url();
+      if (this.requestFilter && !this.requestFilter({ url, resourceType: request.resourceType() })) {
+        return route.abort();
+      }
+
+      if (this.requestResponder) {
+        const recorded = this.requestResponder({ url, method: request.method() });
+        return recorded
+          ? route.fulfill({ status: recorded.status, headers: recorded.headers, body: recorded.body })
+          : route.abort('internetdisconnected');
+      }
+
+      const headers = this.requestHeaders ? this.requestHeaders(url) : {};
+      return Object.keys(headers).length > 0
+        ? route.continue({ headers: { ...request.headers(), ...headers } })
+        : route.continue();
+    });
+  }
+
+  // Responses expose url(), status() and headers()
+  onResponse(handler) {
+    this.native.on('response', handler);
+  }
+
+  /**
+   * handler(exchange) for every finished or failed request, with request and
+   * response headers, phase timings and a body() loader
+   */
+  onRequestFinished(handler) {
+    const finish = async (request, error = null) => {
+      try {
+        const response = await request.response();
+        const timing = request.timing();
+        handler({
+          startedDateTime: new Date(timing.startTime > 0 ? timing.startTime : Date.now()),
+          request: {
+            method: request.method(),
+            url: request.url(),
+            headers: await request.allHeaders(),
+            postData: request.postData(),
+            resourceType: request.resourceType()
+          },
+          response: response && {
+            status: response.status(),
+            statusText: response.statusText(),
+            headers: await response.allHeaders(),
+            remoteAddress: (await response.serverAddr())?.ipAddress || null,
+            fromCache: false
+          },
+          phases: playwrightPhases(timing),
+          error,
+          // Redirects and failed requests have no body
+          body: () => (response ? response.body().catch(() => null) : Promise.resolve(null))
+        });
+      } catch (error) {
+        // The page closed while the request was being read
+        logger.debug('Skipped finished request', { component: 'BrowserDriver', url: request.url(), error: error.message });
+      }
+    };
+
+    this.native.on('requestfinished', (request) => finish(request));
+    this.native.on('requestfailed', (request) => finish(request, request.failure()?.errorText || 'Request failed'));
+  }
+
+  // Each Playwright page owns its context
+  async close() {
+    await this.context.close();
+  }
+}
+
+class PlaywrightBrowser {
+  constructor(browser, engine) {
+    this.native = browser;
+    this.engine = engine;
+  }
+
+  async newPage({ viewport, userAgent, httpCredentials } = {}) {
+    const contextOptions = {};
+    if (viewport) {
+      contextOptions.viewport = { width: viewport.width, height: viewport.height };
+      contextOptions.deviceScaleFactor = viewport.deviceScaleFactor;
+      // Firefox doesn't support mobile or touch emulation
+      if (this.engine !== 'firefox') {
+        contextOptions.isMobile = viewport.isMobile;
+        contextOptions.hasTouch = viewport.hasTouch;
+      }
+    }
+    if (userAgent) {
+      contextOptions.userAgent = userAgent;
+    }
+    if (httpCredentials) {
+      contextOptions.httpCredentials = httpCredentials;
+    }
+
+    const context = await this.native.newContext(contextOptions);
+    return new PlaywrightPage(context, await context.newPage(), this.engine);
+  }
+
+  pages() {
+    return this.native.contexts().flatMap(context => context.pages());
+  }
+
+  close() {
+    return this.native.close();
+  }
+}
+
+/**
+ * Viewport and user agent for a named device
+ */
+function resolveDevice(name) {
+  const device = devices[name];
+  if (!device) {
+    throw new Error(`Unknown device: ${name}`);
+  }
+
+  const { viewport: { width, height }, deviceScaleFactor, isMobile, hasTouch } = device;
+  return {
+    name,
+    viewport: { width, height, deviceScaleFactor, isMobile, hasTouch },
+    userAgent: device.userAgent
+  };
+}
+
+/**
+ * Viewports a crawl captures, from the crawl config's browser section. The
+ * first is the primary viewport whose HTML is saved; the rest (`viewports`,
+ * as device names or { name, width, height, ... }) only add assets
+ */
+function resolveViewports(browserConfig) {
+  const primary = browserConfig.emulateDevice
+    ? resolveDevice(browserConfig.emulateDevice)
+    : {
+      name: `${browserConfig.viewportWidth}x${browserConfig.viewportHeight}`,
+      viewport: {
+        width: browserConfig.viewportWidth,
+        height: browserConfig.viewportHeight,
+        deviceScaleFactor: browserConfig.deviceScaleFactor,
+        isMobile: false,
+        hasTouch: browserConfig.touchEvents
+      },
+      userAgent: null
+    };
+
+  const extra = (browserConfig.viewports || []).map((entry) => {
+    if (typeof entry === 'string') {
+      return resolveDevice(entry);
+    }
+
+    const { width, height } = entry || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) ||
+        width < 1 || height < 1 || width > 10000 || height > 10000) {
+      throw new Error(`Invalid viewport: ${JSON.stringify(entry)}`);
+    }
+
+    return {
+      name: entry.name || `${width}x${height}`,
+      viewport: {
+        width,
+        height,
+        deviceScaleFactor: entry.deviceScaleFactor || 1,
+        isMobile: Boolean(entry.isMobile),
+        hasTouch: Boolean(entry.hasTouch)
+      },
+      userAgent: entry.userAgent || null
+    };
+  });
+
+  return [primary, ...extra];
+}
+
+/**
+ * Launch a browser for the given engine
+ * @param {Object} options - browserType, headless, timeout, and the Chromium launch args and
+ *   executablePath (a system Chromium instead of Playwright's own build)
+ */
+async function launchBrowser({ browserType = 'chromium', headless = true, timeout, args = [], executablePath } = {}) {
+  if (!BROWSER_TYPES.includes(browserType)) {
+    throw new Error(`Unsupported browser type: ${browserType}`);
+  }
+
+  logger.debug('Launching browser', { component: 'BrowserDriver', browserType, headless });
+
+  // The command-line flags are Chromium's own
+  const launchOptions = browserType === 'chromium'
+    ? { headless, timeout, args, ...(executablePath ? { executablePath } : {}) }
+    : { headless, timeout };
+
+  try {
+    const browser = await playwright[browserType].launch(launchOptions);
+    return new PlaywrightBrowser(browser, browserType);
+  } catch (error) {
+    if (/Executable doesn't exist/i.test(error.message)) {
+      throw new Error(`${browserType} is not installed - run "npx playwright install ${browserType}"`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  launchBrowser,
+  resolveDevice,
+  resolveViewports,
+  BROWSER_TYPES
+};
@@ -29,6 +29,7 @@ class CacheManager {
 
     // Cache index - stores metadata about cached items
     this.cacheIndex = new Map();
+    this.urlIndex = null; // Normalized URL -> latest entry, built on first lookup
     this.manifestData = {};
     this.isInitialized = false;
     
@@ -145,6 +146,43 @@ class CacheManager {
     }
   }
 
+  /**
+   * Latest index entry for a URL, whatever request options it was cached
+   * with - its headers carry the ETag/Last-Modified validators
+   */
+  async findEntry(url) {
+    if (!this.isInitialized) await this.initialize();
+
+    if (!this.urlIndex) {
+      this.urlIndex = new Map();
+      for (const entry of this.cacheIndex.values()) {
+        const key = this._normalizeUrl(entry.originalUrl);
+        const existing = this.urlIndex.get(key);
+        if (!existing || entry.timestamp > existing.timestamp) {
+          this.urlIndex.set(key, entry);
+        }
+      }
+    }
+
+    return this.urlIndex.get(this._normalizeUrl(url)) || null;
+  }
+
+  /**
+   * Body of an index entry (from findEntry) as it was received, or null when its data
+   * file is gone
+   */
+  async readEntry(entry) {
+    if (!entry || !entry.dataPath) {
+      return null;
+    }
+
+    try {
+      return (await this._loadCachedData(entry)).content;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Store resource in cache
    */
@@ -178,6 +216,7 @@ class CacheManager {
       
       // Update index
       this.cacheIndex.set(cacheKey, cacheEntry);
+      this.urlIndex = null;
       this.stats.totalSize += cacheEntry.size;
       this.stats.saves++;
 
@@ -370,6 +409,7 @@ class CacheManager {
       
       // Remove from index
       this.cacheIndex.delete(cacheKey);
+      this.urlIndex = null;
     } catch (error) {
       console.warn(`Failed to remove cache entry ${cacheKey}:`, error);
     }
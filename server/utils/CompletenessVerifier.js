@@ -4,9 +4,10 @@ const fetch = require('node-fetch');
 const { logger } = require('./logger');
 
 class CompletenessVerifier {
-  constructor(outputDir, expectedAssets) {
+  constructor(outputDir, expectedAssets, options = {}) {
     this.outputDir = outputDir;
     this.expectedAssets = expectedAssets; // Map from PayloadAnalyzer
+    this.harArchive = options.harArchive || null; // Recover from recorded traffic instead of the network
     this.verificationResults = {
       totalExpected: 0,
       totalDownloaded: 0,
@@ -196,12 +197,14 @@ class CompletenessVerifier {
         type: missingAsset.type
       });
 
-      const response = await fetch(missingAsset.url, {
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+      const response = this.harArchive
+        ? await this.harArchive.fetch(missingAsset.url)
+        : await fetch(missingAsset.url, {
+          timeout: 30000,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+          }
+        });
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -0,0 +1,252 @@
+/**
+ * Crawl Credentials
+ * Cookies, HTTP basic auth and bearer tokens for cloning sites behind a login.
+ * Credentials are kept encrypted (AES-256-GCM) on the session and are only
+ * decrypted in memory for the crawl - they never reach the crawl config or
+ * the output package
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+
+const CIPHER = 'aes-256-gcm';
+const KEY = crypto.scryptSync(config.credentialsSecret, 'procloner-credentials', 32);
+
+class Credentials {
+  constructor({ host, cookies = [], username = null, password = null, bearerToken = null } = {}) {
+    this.host = host; // Auth headers are only sent to the cloned site's host
+    this.cookies = cookies;
+    this.username = username;
+    this.password = password;
+    this.bearerToken = bearerToken;
+  }
+
+  /**
+   * Build credentials from a clone request's `auth` body, or null when it has none
+   * @param {string} url - the URL being cloned
+   * @param {Object} auth - { cookies, username, password, bearerToken }
+   */
+  static fromRequest(url, auth = {}) {
+    const credentials = new Credentials({
+      host: new URL(url).hostname,
+      cookies: auth.cookies ? Credentials.parseCookies(auth.cookies, url) : [],
+      username: auth.username || null,
+      password: auth.password || null,
+      bearerToken: auth.bearerToken || null
+    });
+
+    return credentials.isEmpty() ? null : credentials;
+  }
+
+  /**
+   * Parse a Netscape cookies.txt file or a JSON cookie set (an array, or an
+   * object with a `cookies` array, as exported by browser extensions)
+   */
+  static parseCookies(input, url) {
+    let entries = input;
+    if (typeof input === 'string') {
+      const text = input.trim();
+      entries = text.startsWith('[') || text.startsWith('{')
+        ? JSON.parse(text)
+        : Credentials._parseNetscapeCookies(text);
+    }
+    if (entries && Array.isArray(entries.cookies)) {
+      entries = entries.cookies;
+    }
+    if (!Array.isArray(entries)) {
+      throw new Error('Cookies must be a cookies.txt file or a JSON array');
+    }
+
+    const defaultDomain = new URL(url).hostname;
+    return entries.map((entry, index) => {
+      if (!entry || typeof entry.name !== 'string' || entry.value === undefined) {
+        throw new Error(`Invalid cookie at position ${index + 1}`);
+      }
+
+      const expires = entry.expires !== undefined ? entry.expires : entry.expirationDate;
+      return {
+        name: entry.name,
+        value: String(entry.value),
+        domain: entry.domain || defaultDomain,
+        path: entry.path || '/',
+        expires: typeof expires === 'number' && expires > 0 ? expires : -1,
+        httpOnly: Boolean(entry.httpOnly),
+        secure: Boolean(entry.secure)
+      };
+    });
+  }
+
+  // domain, include-subdomains flag, path, secure, expiry, name, value - tab separated
+  static _parseNetscapeCookies(text) {
+    const cookies = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      let line = rawLine.trim();
+      let httpOnly = false;
+
+      if (line.startsWith('#HttpOnly_')) {
+        httpOnly = true;
+        line = line.slice('#HttpOnly_'.length);
+      } else if (!line || line.startsWith('#')) {
+        continue;
+      }
+
+      const fields = line.split('\t');
+      if (fields.length < 7) {
+        throw new Error(`Invalid cookies.txt line: ${rawLine.slice(0, 80)}`);
+      }
+
+      const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+      cookies.push({
+        name,
+        value: value.join('\t'),
+        domain,
+        path: cookiePath,
+        expires: parseInt(expires, 10) || -1,
+        httpOnly,
+        secure: secure.toUpperCase() === 'TRUE'
+      });
+    }
+
+    return cookies;
+  }
+
+  /**
+   * Add cookies a browser session picked up (e.g. from a scripted login),
+   * replacing any with the same name, domain and path
+   */
+  mergeCookies(cookies) {
+    for (const cookie of cookies) {
+      const merged = {
+        name: cookie.name,
+        value: String(cookie.value),
+        domain: cookie.domain,
+        path: cookie.path || '/',
+        expires: cookie.expires > 0 ? cookie.expires : -1,
+        httpOnly: Boolean(cookie.httpOnly),
+        secure: Boolean(cookie.secure)
+      };
+
+      const existing = this.cookies.findIndex(({ name, domain, path }) =>
+        name === merged.name && domain === merged.domain && path === merged.path
+      );
+      if (existing === -1) {
+        this.cookies.push(merged);
+      } else {
+        this.cookies[existing] = merged;
+      }
+    }
+    return this.cookies;
+  }
+
+  isEmpty() {
+    return this.cookies.length === 0 && !this.username && !this.bearerToken;
+  }
+
+  /**
+   * Headers to send with a request for `url`: matching cookies, plus the
+   * Authorization header when the URL is on the cloned site's host. Browsers
+   * keep their own cookie jar, so they ask for the Authorization header only
+   */
+  headersFor(url, { includeCookies = true } = {}) {
+    const headers = {};
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return headers;
+    }
+
+    const cookieHeader = !includeCookies ? '' : this.cookies
+      .filter(cookie => this._cookieMatches(cookie, parsed))
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+    if (cookieHeader) {
+      headers.Cookie = cookieHeader;
+    }
+
+    const authorization = parsed.hostname === this.host ? this.getAuthorization() : null;
+    if (authorization) {
+      headers.Authorization = authorization;
+    }
+
+    return headers;
+  }
+
+  getAuthorization() {
+    if (this.bearerToken) {
+      return `Bearer ${this.bearerToken}`;
+    }
+    if (this.username) {
+      return `Basic ${Buffer.from(`${this.username}:${this.password || ''}`).toString('base64')}`;
+    }
+    return null;
+  }
+
+  // Basic auth for the browser, which answers the site's 401 challenge with it
+  getHttpCredentials() {
+    return this.username ? { username: this.username, password: this.password || '' } : null;
+  }
+
+  _cookieMatches(cookie, parsed) {
+    const domain = cookie.domain.replace(/^\./, '').toLowerCase();
+    const hostname = parsed.hostname.toLowerCase();
+
+    if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+      return false;
+    }
+    if (!parsed.pathname.startsWith(cookie.path)) {
+      return false;
+    }
+    if (cookie.secure && parsed.protocol !== 'https:') {
+      return false;
+    }
+    return cookie.expires === -1 || cookie.expires * 1000 > Date.now();
+  }
+
+  /**
+   * Encrypt for storage on the session - returns "iv.tag.data" in base64
+   */
+  encrypt() {
+    return Credentials.seal(this._toPlain());
+  }
+
+  static decrypt(encrypted) {
+    return new Credentials(Credentials.unseal(encrypted));
+  }
+
+  /**
+   * Encrypt any JSON value with the credentials key - also used for other
+   * secrets kept on the session, like the values of scripted login steps
+   */
+  static seal(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, KEY, iv);
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(value), 'utf8'),
+      cipher.final()
+    ]);
+
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+  }
+
+  static unseal(encrypted) {
+    const [iv, tag, data] = encrypted.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, KEY, iv);
+    decipher.setAuthTag(tag);
+
+    return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+  }
+
+  _toPlain() {
+    return {
+      host: this.host,
+      cookies: this.cookies,
+      username: this.username,
+      password: this.password,
+      bearerToken: this.bearerToken
+    };
+  }
+}
+
+module.exports = Credentials;
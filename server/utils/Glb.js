@@ -0,0 +1,84 @@
+/**
+ * GLB Reader
+ * Splits binary glTF containers (https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#binary-gltf-layout)
+ * into their JSON chunk and BIN chunk, so models can be inspected whether
+ * they were published as .gltf or .glb
+ */
+
+const fs = require('fs-extra');
+
+// 'glTF' magic, then little-endian chunk type tags
+const GLB_MAGIC = 0x46546C67;
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+class Glb {
+  static isGlb(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === GLB_MAGIC;
+  }
+
+  // Sniffed rather than trusted to the extension - models are often served from extensionless URLs
+  static async isGlbFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { bytesRead, buffer } = await fs.read(handle, Buffer.alloc(4), 0, 4, 0);
+      return bytesRead === 4 && Glb.isGlb(buffer);
+    } finally {
+      await fs.close(handle);
+    }
+  }
+
+  /**
+   * @param {Buffer} buffer - the whole .glb file
+   * @returns {{ gltf: Object, bin: Buffer|null }}
+   */
+  static parse(buffer) {
+    if (buffer.length < 20 || !Glb.isGlb(buffer)) {
+      throw new Error('Invalid GLB: missing glTF header');
+    }
+    const version = buffer.readUInt32LE(4);
+    if (version !== 2) {
+      throw new Error(`Unsupported GLB version ${version}`);
+    }
+    const length = buffer.readUInt32LE(8);
+    if (length > buffer.length) {
+      throw new Error(`Invalid GLB: truncated (${buffer.length} of ${length} bytes)`);
+    }
+
+    let gltf = null;
+    let bin = null;
+    let offset = 12;
+    while (offset + 8 <= length) {
+      const chunkLength = buffer.readUInt32LE(offset);
+      const chunkType = buffer.readUInt32LE(offset + 4);
+      const start = offset + 8;
+      const end = start + chunkLength;
+      if (end > length) {
+        throw new Error('Invalid GLB: chunk runs past the end of the file');
+      }
+
+      // Unknown chunk types are skipped, as the spec asks
+      if (chunkType === CHUNK_JSON && !gltf) {
+        gltf = JSON.parse(buffer.toString('utf8', start, end));
+      } else if (chunkType === CHUNK_BIN && !bin) {
+        bin = buffer.subarray(start, end);
+      }
+      offset = end;
+    }
+
+    if (!gltf) {
+      throw new Error('Invalid GLB: no JSON chunk');
+    }
+    return { gltf, bin };
+  }
+
+  /**
+   * The glTF JSON of a downloaded model, from a .gltf file or a GLB container
+   */
+  static async readGltf(filePath) {
+    const buffer = await fs.readFile(filePath);
+    return Glb.isGlb(buffer) ? Glb.parse(buffer).gltf : JSON.parse(buffer.toString('utf8'));
+  }
+}
+
+module.exports = Glb;
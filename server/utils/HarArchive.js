@@ -0,0 +1,156 @@
+/**
+ * HAR Archive
+ * Recorded traffic from an uploaded HAR file (e.g. saved from DevTools on a
+ * site the server can't reach). The browser is answered from it through
+ * request interception and server-side fetches read from it, so a clone
+ * runs without network access
+ */
+
+const fetch = require('node-fetch');
+const { logger } = require('./logger');
+
+// Bodies are stored decoded, so these would describe the wrong payload
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+class HarArchive {
+  /**
+   * @param {Buffer|string} content - HAR 1.2 JSON
+   */
+  constructor(content) {
+    let har;
+    try {
+      har = JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid HAR: ${error.message}`);
+    }
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error('Invalid HAR: missing log.entries');
+    }
+
+    this.pages = har.log.pages || [];
+    this.responses = new Map(); // "METHOD url" -> recorded response
+    this.missingBodies = 0;
+
+    for (const entry of har.log.entries) {
+      this._index(entry);
+    }
+
+    logger.info('Loaded HAR archive', {
+      component: 'HarArchive',
+      entries: har.log.entries.length,
+      responses: this.responses.size,
+      missingBodies: this.missingBodies
+    });
+  }
+
+  get size() {
+    return this.responses.size;
+  }
+
+  /**
+   * URL of the first recorded page - the default start URL of a HAR clone
+   */
+  getStartUrl() {
+    const urls = Array.from(this.responses.entries())
+      .filter(([key, response]) => key.startsWith('GET ') && /html/i.test(response.headers['content-type'] || ''))
+      .map(([, response]) => response.url);
+
+    // Page titles are URLs in browser exports, but may be document titles
+    const firstPage = this.pages.map(page => page.title).find(title => urls.includes(title));
+    return firstPage || urls[0] || null;
+  }
+
+  /**
+   * Recorded response for a request, or null when the HAR doesn't have it
+   * @returns {{ url, status, statusText, headers, body: Buffer } | null}
+   */
+  lookup(url, method = 'GET') {
+    return this.responses.get(`${method.toUpperCase()} ${this._normalize(url)}`) || null;
+  }
+
+  /**
+   * node-fetch compatible fetch served from the archive. URLs it doesn't
+   * have get a 404, as if the site didn't serve them
+   */
+  async fetch(url, { method = 'GET' } = {}) {
+    const recorded = this.lookup(url, method);
+    if (!recorded) {
+      return new fetch.Response('', { url, status: 404, statusText: 'Not Found in HAR' });
+    }
+
+    // Joined Set-Cookie lines aren't a valid fetch header, and server-side fetches don't keep cookies
+    const headers = Object.fromEntries(
+      Object.entries(recorded.headers).filter(([name]) => name !== 'set-cookie')
+    );
+    headers['content-length'] = String(recorded.body.length);
+    return new fetch.Response(method.toUpperCase() === 'HEAD' ? '' : recorded.body, {
+      url,
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers
+    });
+  }
+
+  _index(entry) {
+    const { request, response } = entry;
+    if (!request || !response || !request.url || !response.status) {
+      return; // Failed or blocked request
+    }
+
+    const redirect = response.status >= 300 && response.status < 400;
+    const { content = {} } = response;
+    if (!redirect && content.text === undefined && content.size > 0) {
+      // Exported without content - the browser can't be served an empty body in its place
+      this.missingBodies++;
+      return;
+    }
+
+    const key = `${request.method.toUpperCase()} ${this._normalize(request.url)}`;
+    const recorded = {
+      url: request.url,
+      status: response.status,
+      statusText: response.statusText || '',
+      headers: this._headers(response.headers, content.mimeType),
+      body: content.text === undefined
+        ? Buffer.alloc(0)
+        : Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8')
+    };
+
+    // Keep the last successful recording; an error never replaces a good response
+    const existing = this.responses.get(key);
+    if (!existing || recorded.status < 400 || existing.status >= 400) {
+      this.responses.set(key, recorded);
+    }
+  }
+
+  _headers(headers = [], mimeType) {
+    const merged = {};
+    for (const { name, value } of headers) {
+      const key = name.toLowerCase();
+      // HTTP/2 pseudo-headers (":status") can't be replayed
+      if (key.startsWith(':') || DROPPED_HEADERS.includes(key)) {
+        continue;
+      }
+      merged[key] = merged[key] !== undefined
+        ? `${merged[key]}${key === 'set-cookie' ? '\n' : ', '}${value}`
+        : value;
+    }
+
+    if (!merged['content-type'] && mimeType && mimeType !== 'x-unknown') {
+      merged['content-type'] = mimeType;
+    }
+    return merged;
+  }
+
+  _normalize(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      return url;
+    }
+  }
+}
+
+module.exports = HarArchive;
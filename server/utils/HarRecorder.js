@@ -0,0 +1,267 @@
+/**
+ * HAR Recorder
+ * Records every request the crawler's browser pages make - headers, timings
+ * and optionally response bodies - and writes them as a HAR 1.2 file
+ * (http://www.softwareishard.com/blog/har-12-spec/)
+ */
+
+const fs = require('fs-extra');
+const { logger } = require('./logger');
+const { version } = require('../../package.json');
+
+// Neither engine reports the negotiated protocol for every response
+const DEFAULT_HTTP_VERSION = 'HTTP/1.1';
+const TEXT_MIME_TYPE = /^text\/|[+/](json|xml|javascript|ecmascript)\b|^image\/svg\+xml/i;
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+const REDACTED = '[redacted]';
+// Pages and API responses of a logged-in crawl carry account data; scripts, styles and media don't
+const PRIVATE_RESOURCE_TYPES = ['document', 'xhr', 'fetch', 'eventsource'];
+
+class HarRecorder {
+  /**
+   * @param {Object} options - includeBodies, maxBodySize for recorded bodies in bytes, and
+   *   redact to blank out auth headers, cookies and request bodies (logins, tokens) and leave
+   *   out the bodies of pages and API responses
+   */
+  constructor({ includeBodies = false, maxBodySize = 2 * 1024 * 1024, redact = false } = {}) {
+    this.includeBodies = includeBodies;
+    this.maxBodySize = maxBodySize;
+    this.redact = redact;
+    this.pages = [];
+    this.entries = [];
+    this.pageRefs = new WeakMap(); // Browser page -> id of the HAR page it's loading
+    this.pending = new Set(); // Entries still reading their response body
+  }
+
+  /**
+   * Record the requests of a browser page (a BrowserDriver page wrapper)
+   */
+  attach(page) {
+    page.onRequestFinished((exchange) => {
+      // Inline data and blob URLs never hit the network
+      if (/^(data|blob):/i.test(exchange.request.url)) {
+        return;
+      }
+
+      const recording = this._record(this.pageRefs.get(page), exchange)
+        .catch((error) => {
+          logger.debug('Failed to record HAR entry', {
+            component: 'HarRecorder',
+            url: exchange.request.url,
+            error: error.message
+          });
+        })
+        .finally(() => this.pending.delete(recording));
+      this.pending.add(recording);
+    });
+  }
+
+  /**
+   * Start a HAR page - requests the browser page makes from now on belong to it
+   */
+  startPage(page, url) {
+    const id = `page_${this.pages.length + 1}`;
+    this.pages.push({
+      startedDateTime: new Date().toISOString(),
+      id,
+      title: url,
+      pageTimings: { onContentLoad: -1, onLoad: -1 }
+    });
+    this.pageRefs.set(page, id);
+  }
+
+  /**
+   * Continue a recording saved by an earlier run of the same session (resumed crawls)
+   */
+  async load(filePath) {
+    if (!(await fs.pathExists(filePath))) {
+      return;
+    }
+
+    try {
+      const { log } = await fs.readJson(filePath);
+      this.pages = log.pages || [];
+      this.entries = log.entries || [];
+    } catch (error) {
+      logger.warn('Failed to load existing HAR, starting a new one', {
+        component: 'HarRecorder',
+        filePath,
+        error: error.message
+      });
+    }
+  }
+
+  toJSON() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'ProCloner', version },
+        pages: this.pages,
+        entries: [...this.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime))
+      }
+    };
+  }
+
+  async save(filePath) {
+    await Promise.allSettled(Array.from(this.pending));
+    await fs.writeJson(filePath, this.toJSON());
+
+    logger.info('Saved HAR recording', {
+      component: 'HarRecorder',
+      filePath,
+      pages: this.pages.length,
+      entries: this.entries.length
+    });
+  }
+
+  async _record(pageref, { startedDateTime, request, response, phases, error, body }) {
+    const timings = this._timings(phases);
+    const entry = {
+      startedDateTime: startedDateTime.toISOString(),
+      time: ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+        .reduce((total, phase) => total + Math.max(0, timings[phase]), 0),
+      request: this._request(request),
+      response: response ? await this._response(response, body, request.resourceType) : this._failedResponse(),
+      cache: {},
+      timings,
+      _resourceType: request.resourceType
+    };
+
+    if (pageref) {
+      entry.pageref = pageref;
+    }
+    if (response?.remoteAddress) {
+      entry.serverIPAddress = response.remoteAddress;
+    }
+    if (error) {
+      entry._error = error;
+    }
+
+    this.entries.push(entry);
+  }
+
+  _request({ method, url, headers, postData }) {
+    const request = {
+      method,
+      url,
+      httpVersion: DEFAULT_HTTP_VERSION,
+      cookies: [],
+      headers: this._headers(headers),
+      queryString: this._queryString(url),
+      headersSize: -1,
+      bodySize: postData ? Buffer.byteLength(postData) : 0
+    };
+
+    if (postData) {
+      request.postData = {
+        mimeType: this._header(headers, 'content-type') || 'application/octet-stream',
+        text: this.redact ? REDACTED : postData
+      };
+    }
+    return request;
+  }
+
+  async _response({ status, statusText, headers }, body, resourceType) {
+    const mimeType = this._header(headers, 'content-type') || 'x-unknown';
+    const content = {
+      size: parseInt(this._header(headers, 'content-length'), 10) || 0,
+      mimeType
+    };
+
+    // Redirects and 204/304 responses have no body to read
+    const hasBody = status >= 200 && status !== 204 && status !== 304 && (status < 300 || status >= 400);
+    if (this.includeBodies && hasBody && this.redact && PRIVATE_RESOURCE_TYPES.includes(resourceType)) {
+      content.comment = 'Body not recorded: pages and API responses are left out of redacted recordings';
+    } else if (this.includeBodies && hasBody) {
+      const buffer = await body();
+      if (buffer) {
+        content.size = buffer.length;
+        if (buffer.length > this.maxBodySize) {
+          content.comment = `Body not recorded: ${buffer.length} bytes exceeds the ${this.maxBodySize} byte limit`;
+        } else if (TEXT_MIME_TYPE.test(mimeType)) {
+          content.text = buffer.toString('utf8');
+        } else {
+          content.text = buffer.toString('base64');
+          content.encoding = 'base64';
+        }
+      }
+    }
+
+    return {
+      status,
+      statusText: statusText || '',
+      httpVersion: DEFAULT_HTTP_VERSION,
+      cookies: [],
+      headers: this._headers(headers),
+      content,
+      redirectURL: this._header(headers, 'location') || '',
+      headersSize: -1,
+      bodySize: -1
+    };
+  }
+
+  // Requests that failed before a response arrived are recorded with status 0, as browsers export them
+  _failedResponse() {
+    return {
+      status: 0,
+      statusText: '',
+      httpVersion: '',
+      cookies: [],
+      headers: [],
+      content: { size: 0, mimeType: 'x-unknown' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1
+    };
+  }
+
+  // HAR timings from the driver's phase offsets; send, wait and receive may not be -1
+  _timings(phases) {
+    if (!phases) {
+      return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 };
+    }
+
+    const span = (start, end) => (start >= 0 && end >= 0 ? this._round(Math.max(0, end - start)) : -1);
+    const firstPhase = [phases.dnsStart, phases.connectStart, phases.sendStart].find(offset => offset >= 0);
+    const sendEnd = Math.max(0, phases.sendEnd);
+
+    return {
+      blocked: firstPhase !== undefined ? this._round(firstPhase) : -1,
+      dns: span(phases.dnsStart, phases.dnsEnd),
+      connect: span(phases.connectStart, phases.connectEnd),
+      ssl: span(phases.sslStart, phases.sslEnd),
+      send: Math.max(0, span(phases.sendStart, phases.sendEnd)),
+      wait: this._round(Math.max(0, phases.responseStart - sendEnd)),
+      receive: this._round(Math.max(0, phases.responseEnd - Math.max(phases.responseStart, 0)))
+    };
+  }
+
+  _headers(headers = {}) {
+    return Object.entries(headers).flatMap(([name, value]) => {
+      if (this.redact && SENSITIVE_HEADERS.includes(name.toLowerCase())) {
+        return [{ name, value: REDACTED }];
+      }
+      // Engines join repeated headers (e.g. Set-Cookie) with newlines
+      return String(value).split('\n').map(line => ({ name, value: line }));
+    });
+  }
+
+  _header(headers = {}, name) {
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+    return key ? headers[key] : null;
+  }
+
+  _queryString(url) {
+    try {
+      return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch {
+      return [];
+    }
+  }
+
+  _round(ms) {
+    return Math.round(ms * 1000) / 1000;
+  }
+}
+
+module.exports = HarRecorder;
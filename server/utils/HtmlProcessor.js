@@ -2,16 +2,55 @@ const fs = require('fs-extra');
 const path = require('path');
 const { URL } = require('url');
 const { logger } = require('./logger');
+const Srcset = require('./Srcset');
 
 class HtmlProcessor {
-  constructor(outputDir, discoveredAssets, buildToolInfo = null) {
+  constructor(outputDir, discoveredAssets, buildToolInfo = null, savedPages = new Map(), outputOptions = {}, apiMockScript = null) {
     this.outputDir = outputDir;
+    // HTML output settings (the "output" section of ProClonerConfig)
+    this.outputOptions = {
+      rewriteLinks: true,
+      removeScripts: false,
+      removeComments: false,
+      ...outputOptions
+    };
     this.discoveredAssets = discoveredAssets; // Map of original URL -> asset info
+    this.savedPages = savedPages; // Map of crawled page URL -> saved HTML file path
+    this.routeMap = this.buildRouteMap(savedPages); // Map of route key -> saved HTML file path
+    this.apiMockScript = apiMockScript; // Shim answering recorded API calls offline, if any were recorded
     this.baseUrl = null;
     this.buildToolInfo = buildToolInfo;
     this.pathMappingStrategy = this.determineMappingStrategy(buildToolInfo);
   }
 
+  // Index crawled pages by route so links can be matched regardless of trailing slashes
+  buildRouteMap(savedPages) {
+    const routeMap = new Map();
+
+    for (const [pageUrl, filePath] of savedPages) {
+      const routeKey = this.getRouteKey(pageUrl);
+      if (routeKey && !routeMap.has(routeKey)) {
+        routeMap.set(routeKey, filePath);
+      }
+    }
+
+    return routeMap;
+  }
+
+  // Normalize a page URL to origin + path (without trailing slash) + query
+  getRouteKey(url) {
+    try {
+      const urlObj = new URL(url);
+      let pathname = urlObj.pathname;
+      if (pathname.length > 1 && pathname.endsWith('/')) {
+        pathname = pathname.slice(0, -1);
+      }
+      return `${urlObj.origin}${pathname}${urlObj.search}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Determine the optimal path mapping strategy based on build tool
   determineMappingStrategy(buildToolInfo) {
     if (!buildToolInfo) {
@@ -179,26 +218,39 @@ class HtmlProcessor {
 
       let processedHtml = htmlContent;
 
-      // Rewrite CSS links
-      processedHtml = this.rewriteCssLinks(processedHtml);
-      
-      // Rewrite JavaScript sources
-      processedHtml = this.rewriteJavaScriptSources(processedHtml);
-      
-      // Rewrite image sources
-      processedHtml = this.rewriteImageSources(processedHtml);
-      
-      // Rewrite font sources in CSS
-      processedHtml = this.rewriteFontSources(processedHtml);
-      
-      // Rewrite video/audio sources
-      processedHtml = this.rewriteMediaSources(processedHtml);
+      if (this.outputOptions.rewriteLinks) {
+        // Rewrite CSS links
+        processedHtml = this.rewriteCssLinks(processedHtml);
+        
+        // Rewrite JavaScript sources
+        processedHtml = this.rewriteJavaScriptSources(processedHtml);
+        
+        // Rewrite image sources and srcset candidates
+        processedHtml = this.rewriteImageSources(processedHtml, pageUrl);
+        
+        // Rewrite font sources in CSS
+        processedHtml = this.rewriteFontSources(processedHtml);
+        
+        // Rewrite video/audio sources
+        processedHtml = this.rewriteMediaSources(processedHtml);
+
+        // Add base tag to handle relative URLs
+        processedHtml = this.addBaseTag(processedHtml, pageUrl);
 
-      // Add base tag to handle relative URLs
-      processedHtml = this.addBaseTag(processedHtml, pageUrl);
+        // Fix SPA routing issues for cloned sites
+        processedHtml = this.fixSPARouting(processedHtml, pageUrl);
+      }
+
+      if (this.outputOptions.removeScripts) {
+        processedHtml = processedHtml.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+      } else if (this.apiMockScript) {
+        processedHtml = this.injectApiMock(processedHtml, pageUrl);
+      }
 
-      // Fix SPA routing issues for cloned sites
-      processedHtml = this.fixSPARouting(processedHtml, this.outputDir);
+      // Conditional comments are kept since they carry markup for old browsers
+      if (this.outputOptions.removeComments) {
+        processedHtml = processedHtml.replace(/<!--(?!\[if)[\s\S]*?-->/g, '');
+      }
 
       logger.debug('HTML processing completed', {
         component: 'HtmlProcessor',
@@ -260,24 +312,147 @@ class HtmlProcessor {
     });
   }
 
-  // Rewrite image src attributes
-  rewriteImageSources(html) {
-    const imgRegex = /<img[^>]*src=["']([^"']+)["'][^>]*>/gi;
-    
-    return html.replace(imgRegex, (match, src) => {
-      const absoluteUrl = this.resolveUrl(src);
-      const localPath = this.getLocalAssetPath(absoluteUrl);
-      
-      if (localPath) {
-        const newMatch = match.replace(src, localPath);
-        logger.debug('Rewritten image source', {
-          component: 'HtmlProcessor',
-          original: src,
-          rewritten: localPath
+  // Rewrite image src attributes, and every srcset candidate of <img>, <picture> <source>
+  // and <link rel="preload" imagesrcset> tags
+  rewriteImageSources(html, pageUrl) {
+    const tagRegex = /<(?:img|source|link)\b[^>]*>/gi;
+    const attributeRegex = (names) => new RegExp(`(\\s(?:${names})\\s*=\\s*)(?:"([^"]*)"|'([^']*)')`, 'gi');
+
+    return html.replace(tagRegex, (tag) => {
+      let rewritten = tag;
+
+      // Attributes are replaced whole - the same URL may appear in the tag's srcset too
+      if (/^<img/i.test(tag)) {
+        rewritten = rewritten.replace(attributeRegex('src'), (match, prefix, doubleQuoted, singleQuoted) => {
+          const src = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+          const localPath = this.getLocalAssetPath(this.resolveUrl(src));
+          if (!localPath) {
+            return match;
+          }
+
+          logger.debug('Rewritten image source', {
+            component: 'HtmlProcessor',
+            original: src,
+            rewritten: localPath
+          });
+          const quote = doubleQuoted !== undefined ? '"' : "'";
+          return `${prefix}${quote}${localPath}${quote}`;
         });
-        return newMatch;
       }
-      return match;
+
+      return rewritten.replace(attributeRegex('srcset|imagesrcset|data-srcset'), (match, prefix, doubleQuoted, singleQuoted) => {
+        const srcset = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+        const quote = doubleQuoted !== undefined ? '"' : "'";
+        return `${prefix}${quote}${this.rewriteSrcset(srcset, pageUrl)}${quote}`;
+      });
+    });
+  }
+
+  // Point the srcset candidates that were downloaded at their local copies, keeping every descriptor
+  rewriteSrcset(srcset, pageUrl) {
+    let rewrittenCandidates = 0;
+    const candidates = Srcset.parse(srcset).map((candidate) => {
+      // Serialized DOM attributes escape the & of query strings
+      const url = candidate.url.replace(/&amp;/g, '&');
+      let absoluteUrl;
+      try {
+        absoluteUrl = pageUrl ? new URL(url, pageUrl).href : this.resolveUrl(url);
+      } catch (error) {
+        return candidate;
+      }
+
+      const localPath = this.getDownloadedAssetPath(absoluteUrl, pageUrl);
+      if (!localPath) {
+        return candidate;
+      }
+
+      rewrittenCandidates++;
+      return { ...candidate, url: localPath };
+    });
+
+    if (rewrittenCandidates === 0) {
+      return srcset;
+    }
+
+    logger.debug('Rewritten srcset', {
+      component: 'HtmlProcessor',
+      candidates: candidates.length,
+      rewritten: rewrittenCandidates
+    });
+    return Srcset.stringify(candidates);
+  }
+
+  // Offer the WebP/AVIF and downscaled copies AssetHunter generated: an <img> rewritten to a local
+  // image becomes a <picture> with a <source> per format, keeping its src as the fallback
+  rewriteResponsiveImages(html, pageFilePath) {
+    if (!this.outputOptions.rewriteLinks) {
+      return html;
+    }
+
+    const imagesBySrc = new Map(); // src written by rewriteImageSources -> asset
+    for (const asset of this.discoveredAssets.values()) {
+      const localPath = asset.variants && asset.variants.length > 0 && this.getLocalAssetPath(asset.url);
+      if (localPath) {
+        imagesBySrc.set(localPath, asset);
+      }
+    }
+    if (imagesBySrc.size === 0) {
+      return html;
+    }
+
+    const pageDir = path.dirname(pageFilePath);
+    const candidate = (variant) =>
+      `${encodeURI(path.relative(pageDir, variant.localPath).replace(/\\/g, '/'))} ${variant.width}w`;
+
+    // Images in a <picture> or with their own srcset keep the sources the site chose
+    return html.replace(/<picture\b[\s\S]*?<\/picture>|<img\b[^>]*>/gi, (match) => {
+      if (!/^<img/i.test(match) || /\ssrcset\s*=/i.test(match)) {
+        return match;
+      }
+
+      const srcMatch = match.match(/\ssrc=["']([^"']+)["']/i);
+      const asset = srcMatch && imagesBySrc.get(srcMatch[1]);
+      if (!asset) {
+        return match;
+      }
+
+      const imageFormat = asset.metadata.format;
+      const imageWidth = asset.metadata.width;
+      // Without sizes, width descriptors assume the image fills the viewport - so go by the
+      // width the page lays it out at, or let images the site already lazy-loads be sized from
+      // their layout (sizes="auto" only applies to those)
+      const sizesMatch = match.match(/\ssizes=["']([^"']+)["']/i);
+      const widthMatch = match.match(/\swidth=["']?(\d+)["'\s>/]/i);
+      const lazy = /\sloading=["']?lazy\b/i.test(match);
+      let sizes = '100vw';
+      if (sizesMatch) {
+        sizes = sizesMatch[1];
+      } else if (widthMatch) {
+        sizes = `(max-width: ${widthMatch[1]}px) 100vw, ${widthMatch[1]}px`;
+      } else if (lazy) {
+        sizes = 'auto, 100vw';
+      }
+      const srcsetFor = (format) => [
+        ...asset.variants
+          .filter(variant => variant.format === format)
+          .sort((a, b) => a.width - b.width)
+          .map(candidate),
+        ...(format === imageFormat ? [`${srcMatch[1]} ${imageWidth}w`] : [])
+      ].join(', ');
+
+      // Best compression first - the browser takes the first <source> it supports
+      const sources = ['avif', 'webp']
+        .map(format => ({ format, srcset: srcsetFor(format) }))
+        .filter(({ srcset }) => srcset);
+      // The image's own format only needs a <source> to rank above a later one
+      while (sources.length > 0 && sources[sources.length - 1].format === imageFormat) {
+        sources.pop();
+      }
+
+      const img = match.replace(/<img\b/i, `<img srcset="${srcsetFor(imageFormat)}"${sizesMatch ? '' : ` sizes="${sizes}"`}`);
+      return sources.length > 0
+        ? `<picture>${sources.map(({ format, srcset }) => `<source type="image/${format}" srcset="${srcset}" sizes="${sizes}">`).join('')}${img}</picture>`
+        : img;
     });
   }
 
@@ -418,6 +593,20 @@ class HtmlProcessor {
     return null;
   }
 
+  // Path from a page to the file an asset was downloaded to. srcset candidates often differ only
+  // in their query string (?w=400, ?w=800), which getLocalAssetPath's mapping folds into one path
+  getDownloadedAssetPath(absoluteUrl, pageUrl) {
+    const asset = this.discoveredAssets.get(absoluteUrl);
+    if (!asset || !asset.downloaded || !asset.localPath) {
+      return null;
+    }
+
+    const fromFile = this.savedPages.get(pageUrl);
+    const fromDir = fromFile ? path.dirname(fromFile) : this.outputDir;
+    const relativePath = path.relative(fromDir, path.resolve(this.outputDir, asset.localPath));
+    return encodeURI(relativePath.replace(/\\/g, '/'));
+  }
+
   // Add base tag to help with relative URLs
   addBaseTag(html, pageUrl) {
     try {
@@ -439,6 +628,29 @@ class HtmlProcessor {
     return html;
   }
 
+  // Load the API mock shim ahead of the page's own scripts, so their fetch/XHR calls are answered offline
+  injectApiMock(html, pageUrl) {
+    const fromFile = this.savedPages.get(pageUrl);
+    const fromDir = fromFile ? path.dirname(fromFile) : this.outputDir;
+    const src = path.relative(fromDir, this.apiMockScript).replace(/\\/g, '/');
+    const tag = `<script src="${src}"></script>`;
+
+    if (html.includes(tag)) {
+      return html;
+    }
+
+    const headRegex = /<head[^>]*>/i;
+    if (headRegex.test(html)) {
+      return html.replace(headRegex, (match) => `${match}\n  ${tag}`);
+    }
+
+    logger.debug('No <head> to load the API mock shim from', {
+      component: 'HtmlProcessor',
+      pageUrl
+    });
+    return html;
+  }
+
   // Process and save downloaded CSS files to rewrite their internal URLs
   async processCssFiles() {
     try {
@@ -602,32 +814,24 @@ class HtmlProcessor {
   }
 
   // Fix SPA routing issues for cloned sites
-  fixSPARouting(html, baseDir) {
+  fixSPARouting(html, pageUrl) {
     try {
-      // Convert Vue.js router links to static file references
-      const routeMap = {
-        '/tulpen': '_tulpen.html',
-        '/moontime': '_moontime.html', 
-        '/pridelands': '_pridelands.html',
-        '/cvletter': '_cvletter.html'
-      };
-
       let processedHtml = html;
 
-      // Fix router-link href attributes
-      Object.entries(routeMap).forEach(([route, file]) => {
-        const fs = require('fs');
-        const path = require('path');
-        const filePath = path.join(baseDir, file);
-        
-        // Only replace if the static file exists
-        if (fs.existsSync(filePath)) {
-          // Replace both regular links and router-link hrefs
-          const routeRegex = new RegExp(`href="${route}"`, 'g');
-          const routeRegexAlt = new RegExp(`href='${route}'`, 'g');
-          processedHtml = processedHtml.replace(routeRegex, `href="${file}"`);
-          processedHtml = processedHtml.replace(routeRegexAlt, `href="${file}"`);
+      // Point internal links at the saved copies of crawled pages
+      const linkRegex = /(<a\b[^>]*?\bhref=)(["'])([^"']*)\2/gi;
+      processedHtml = processedHtml.replace(linkRegex, (match, prefix, quote, href) => {
+        const localHref = this.getLocalPageHref(href, pageUrl);
+
+        if (localHref) {
+          logger.debug('Rewritten page link', {
+            component: 'HtmlProcessor',
+            original: href,
+            rewritten: localHref
+          });
+          return `${prefix}${quote}${localHref}${quote}`;
         }
+        return match;
       });
 
       // Fix anchor links to use proper fragments
@@ -640,10 +844,42 @@ class HtmlProcessor {
 
       return processedHtml;
     } catch (error) {
-      this.logger.warn('SPA routing fix error', { error: error.message });
+      logger.warn('SPA routing fix error', {
+        component: 'HtmlProcessor',
+        error: error.message,
+        pageUrl
+      });
       return html;
     }
   }
+
+  // Get the href of a crawled page relative to the page linking to it
+  getLocalPageHref(href, pageUrl) {
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(href)) {
+      return null;
+    }
+
+    let targetUrl;
+    try {
+      targetUrl = new URL(href, pageUrl);
+    } catch (error) {
+      return null;
+    }
+
+    const fragment = targetUrl.hash;
+    targetUrl.hash = '';
+
+    const targetFile = this.routeMap.get(this.getRouteKey(targetUrl.href));
+    if (!targetFile) {
+      return null;
+    }
+
+    const fromFile = this.savedPages.get(pageUrl);
+    const fromDir = fromFile ? path.dirname(fromFile) : this.outputDir;
+    const relativePath = path.relative(fromDir, targetFile).replace(/\\/g, '/');
+
+    return `${relativePath || path.basename(targetFile)}${fragment}`;
+  }
 }
 
 module.exports = HtmlProcessor;
\ No newline at end of file
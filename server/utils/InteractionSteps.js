@@ -0,0 +1,149 @@
+/**
+ * Scripted Interaction Steps
+ * Runs a declarative step list (goto, fill, click, waitForSelector, press,
+ * evaluate) on a browser page - used for login flows, cookie banners, tabs and
+ * accordions that the dynamic-content heuristics don't reach
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_STEP_TIMEOUT = 10000;
+
+class InteractionSteps {
+  /**
+   * @param {Array} steps - step definitions, validated by the clone request schema
+   * @param {string} baseUrl - relative goto URLs resolve against it
+   */
+  constructor(steps = [], baseUrl) {
+    this.steps = steps;
+    this.baseUrl = baseUrl;
+  }
+
+  get length() {
+    return this.steps.length;
+  }
+
+  /**
+   * Run every step in order. A failed step stops the sequence unless it is
+   * marked optional
+   * @returns {Promise<{completed: boolean, results: Array}>}
+   */
+  async run(page, { phase, viewport = null, onStepCompleted = () => {} } = {}) {
+    const results = [];
+
+    for (let index = 0; index < this.steps.length; index++) {
+      const step = this.steps[index];
+      const startedAt = Date.now();
+      const result = {
+        phase,
+        index: index + 1,
+        total: this.steps.length,
+        action: step.action,
+        target: this._describeTarget(step),
+        label: step.label || null,
+        pageUrl: page.url(),
+        viewport,
+        optional: Boolean(step.optional),
+        success: true,
+        error: null
+      };
+
+      try {
+        await this._runStep(page, step);
+      } catch (error) {
+        result.success = false;
+        result.error = error.message;
+      }
+
+      result.durationMs = Date.now() - startedAt;
+      results.push(result);
+
+      // Fill values are never logged - they are often passwords
+      logger[result.success ? 'info' : 'warn']('Interaction step finished', {
+        component: 'InteractionSteps',
+        phase,
+        step: result.index,
+        action: result.action,
+        target: result.target,
+        success: result.success,
+        error: result.error,
+        durationMs: result.durationMs
+      });
+      await onStepCompleted(result);
+
+      if (!result.success && !result.optional) {
+        return { completed: false, results };
+      }
+    }
+
+    return { completed: true, results };
+  }
+
+  async _runStep(page, step) {
+    const timeout = step.timeout || DEFAULT_STEP_TIMEOUT;
+
+    switch (step.action) {
+      case 'goto':
+        await page.goto(new URL(step.url, this.baseUrl).href, { waitUntil: 'networkidle0', timeout });
+        break;
+
+      case 'fill':
+        await page.fill(step.selector, step.value, { timeout });
+        break;
+
+      case 'click':
+        await this._withNavigation(page, step, () => page.click(step.selector, { timeout }));
+        break;
+
+      case 'press':
+        await this._withNavigation(page, step, () => page.press(step.key, step.selector, { timeout }));
+        break;
+
+      case 'waitForSelector':
+        await page.waitForSelector(step.selector, { timeout });
+        break;
+
+      case 'evaluate':
+        // Scripts run inside the page, never in the server process
+        await Promise.race([
+          page.evaluate(step.script),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error(`Script timed out after ${timeout}ms`)), timeout)
+          )
+        ]);
+        break;
+
+      default:
+        throw new Error(`Unknown step action: ${step.action}`);
+    }
+  }
+
+  // Start waiting before the action, so a fast navigation (e.g. a login submit) isn't missed
+  async _withNavigation(page, step, action) {
+    if (!step.waitForNavigation) {
+      await action();
+      return;
+    }
+
+    const timeout = step.timeout || DEFAULT_STEP_TIMEOUT;
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle0', timeout }),
+      action()
+    ]);
+  }
+
+  _describeTarget(step) {
+    switch (step.action) {
+      case 'goto':
+        return step.url;
+      case 'press':
+        return step.selector ? `${step.key} on ${step.selector}` : step.key;
+      case 'evaluate':
+        return 'script';
+      default:
+        return step.selector;
+    }
+  }
+}
+
+module.exports = InteractionSteps;
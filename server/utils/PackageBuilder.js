@@ -1,7 +1,16 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const archiver = require('archiver');
+const WarcWriter = require('./WarcWriter');
 const { logger } = require('./logger');
+const { version } = require('../../package.json');
+
+// Files the server keeps next to the cloned site that never go into a download
+const INTERNAL_FILES = ['.cache', 'session-state.json', 'crawl.har', 'source.har', 'originals'];
+
+// HAR bodies are decoded, so these would describe the wrong payload
+const ARCHIVE_DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
 
 class PackageBuilder {
     constructor(outputDir) {
@@ -212,7 +221,40 @@ class PackageBuilder {
         return htmlFiles;
     }
 
-    async createZip() {
+    // Server-side session files (cache, crawl checkpoints, original images) stay out of packages
+    isInternalFile(relativePath) {
+        return INTERNAL_FILES.some(name =>
+            relativePath === name ||
+            relativePath.startsWith(`${name}/`) ||
+            relativePath.startsWith(`${name}.`)
+        );
+    }
+
+    // Extra files each export format adds to the cloned site, keyed by relative path
+    getFormatFiles(format) {
+        switch (format) {
+            case 'github':
+                return this.getGitHubFiles();
+            case 'vscode':
+                return this.getVSCodeFiles();
+            case 'docker':
+                return this.getDockerFiles();
+            case 'netlify':
+                return this.getNetlifyFiles();
+            default:
+                return {};
+        }
+    }
+
+    async writeFormatFiles(files) {
+        for (const [relativePath, content] of Object.entries(files)) {
+            const filePath = path.join(this.outputDir, relativePath);
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.writeFile(filePath, content);
+        }
+    }
+
+    async createZip(format = 'zip') {
         try {
             // Validate output directory exists
             if (!await fs.pathExists(this.outputDir)) {
@@ -222,11 +264,18 @@ class PackageBuilder {
             // Create ZIP file path
             const tempDir = path.dirname(this.outputDir);
             await fs.ensureDir(tempDir);
-            const zipPath = path.join(tempDir, `cloned-site-${Date.now()}.zip`);
+            const zipPath = path.join(tempDir, `cloned-site-${format}-${Date.now()}.zip`);
+            const formatFiles = this.getFormatFiles(format);
+            // Written by AssetHunter's processing phase, which cancelled sessions never reach
+            const generatedFiles = {
+                assetManifest: await fs.pathExists(path.join(this.outputDir, 'asset-manifest.json')),
+                serviceWorker: await fs.pathExists(path.join(this.outputDir, 'sw.js'))
+            };
             
             logger.info('Starting ZIP creation', {
                 component: 'PackageBuilder',
                 outputDir: this.outputDir,
+                format,
                 zipPath
             });
 
@@ -257,16 +306,23 @@ class PackageBuilder {
             archive.pipe(output);
             
             // Add all files from output directory
-            archive.directory(this.outputDir, false);
+            archive.directory(this.outputDir, false, (entry) =>
+                this.isInternalFile(entry.name) ? false : entry
+            );
             
             // Add package.json for easy setup
             const packageJson = this.generatePackageJson();
             archive.append(JSON.stringify(packageJson, null, 2), { name: 'package.json' });
             
             // Add README
-            const readme = this.generateReadme();
+            const readme = this.generateReadme(generatedFiles);
             archive.append(readme, { name: 'README.md' });
             
+            // Add the files of the requested export format
+            for (const [name, content] of Object.entries(formatFiles)) {
+                archive.append(content, { name });
+            }
+            
             archive.finalize();
             });
         } catch (error) {
@@ -299,7 +355,7 @@ class PackageBuilder {
         };
     }
 
-    generateReadme() {
+    generateReadme({ assetManifest = true, serviceWorker = true } = {}) {
         return `# Cloned Website
 
 This website was cloned using **ProCloner** - an advanced website cloning tool.
@@ -336,27 +392,20 @@ npm run dev
   - \`javascript/\` - JavaScript files
   - \`stylesheet/\` - CSS files
   - \`font/\` - Font files
-- \`asset-manifest.json\` - Complete asset inventory
-- \`sw.js\` - Service worker for offline functionality
-
+${assetManifest ? '- `asset-manifest.json` - Complete asset inventory\n' : ''}${serviceWorker ? '- `sw.js` - Service worker for offline functionality\n' : ''}
 ## 🔧 Features
 
-- ✅ **Offline Ready**: Service worker included for offline functionality
-- ✅ **3D Assets**: All WebGL/Three.js content preserved
+${serviceWorker ? '- ✅ **Offline Ready**: Service worker included for offline functionality\n' : ''}- ✅ **3D Assets**: All WebGL/Three.js content preserved
 - ✅ **Optimized**: Images optimized for web delivery
 - ✅ **Complete**: All dependencies included
 
-## 📊 Asset Summary
-
-Check \`asset-manifest.json\` for detailed information about all cloned assets.
-
-## 🛠️ Troubleshooting
+${assetManifest ? '## 📊 Asset Summary\n\nCheck `asset-manifest.json` for detailed information about all cloned assets.\n\n' : ''}## 🛠️ Troubleshooting
 
 ### CORS Issues
 If you encounter CORS errors, make sure to serve the files through a web server (not file:// protocol).
 
 ### Missing Assets
-Check the browser console for any 404 errors and verify the asset paths in \`asset-manifest.json\`.
+Check the browser console for any 404 errors${assetManifest ? ' and verify the asset paths in `asset-manifest.json`' : ''}.
 
 ### 3D Content Not Loading
 Ensure WebGL is enabled in your browser and try refreshing the page.
@@ -367,11 +416,51 @@ Ensure WebGL is enabled in your browser and try refreshing the page.
 `;
     }
 
-    async createVSCodeProject() {
-        // Create VS Code workspace configuration
-        const vscodeDir = path.join(this.outputDir, '.vscode');
-        await fs.ensureDir(vscodeDir);
+    getGitHubFiles() {
+        // GitHub Pages workflow publishing the repository root
+        const pagesWorkflow = `name: Deploy to GitHub Pages
+
+on:
+  push:
+    branches: [main]
+  workflow_dispatch:
+
+permissions:
+  contents: read
+  pages: write
+  id-token: write
+
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+    environment:
+      name: github-pages
+      url: \${{ steps.deployment.outputs.page_url }}
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/configure-pages@v5
+      - uses: actions/upload-pages-artifact@v3
+        with:
+          path: .
+      - id: deployment
+        uses: actions/deploy-pages@v4
+`;
+
+        return {
+            '.github/workflows/pages.yml': pagesWorkflow,
+            // Serve files and folders starting with "_" as-is
+            '.nojekyll': '',
+            '.gitignore': 'node_modules/\n.DS_Store\n'
+        };
+    }
+
+    async createGitHubConfig() {
+        await this.writeFormatFiles(this.getGitHubFiles());
         
+        logger.info('GitHub Pages configuration created', { component: 'PackageBuilder' });
+    }
+
+    getVSCodeFiles() {
         // Launch configuration
         const launchConfig = {
             version: "0.2.0",
@@ -387,11 +476,6 @@ Ensure WebGL is enabled in your browser and try refreshing the page.
             ]
         };
         
-        await fs.writeFile(
-            path.join(vscodeDir, 'launch.json'),
-            JSON.stringify(launchConfig, null, 2)
-        );
-        
         // Settings
         const settings = {
             "liveServer.settings.port": 8080,
@@ -402,11 +486,6 @@ Ensure WebGL is enabled in your browser and try refreshing the page.
             }
         };
         
-        await fs.writeFile(
-            path.join(vscodeDir, 'settings.json'),
-            JSON.stringify(settings, null, 2)
-        );
-        
         // Extensions recommendations
         const extensions = {
             recommendations: [
@@ -416,15 +495,21 @@ Ensure WebGL is enabled in your browser and try refreshing the page.
             ]
         };
         
-        await fs.writeFile(
-            path.join(vscodeDir, 'extensions.json'),
-            JSON.stringify(extensions, null, 2)
-        );
+        return {
+            '.vscode/launch.json': JSON.stringify(launchConfig, null, 2),
+            '.vscode/settings.json': JSON.stringify(settings, null, 2),
+            '.vscode/extensions.json': JSON.stringify(extensions, null, 2)
+        };
+    }
+
+    async createVSCodeProject() {
+        // Create VS Code workspace configuration
+        await this.writeFormatFiles(this.getVSCodeFiles());
         
         logger.info('VS Code project configuration created', { component: 'PackageBuilder' });
     }
 
-    async createDockerConfig() {
+    getDockerFiles() {
         // Dockerfile
         const dockerfile = `FROM nginx:alpine
 
@@ -448,15 +533,6 @@ http {
     include       /etc/nginx/mime.types;
     default_type  application/octet-stream;
     
-    # Add MIME types for 3D assets
-    location ~* \\.(glb|gltf)$ {
-        add_header Content-Type application/octet-stream;
-    }
-    
-    location ~* \\.(exr)$ {
-        add_header Content-Type image/x-exr;
-    }
-    
     server {
         listen 80;
         server_name localhost;
@@ -467,6 +543,17 @@ http {
             try_files $uri $uri/ /index.html;
         }
         
+        # Add MIME types for 3D assets
+        location ~* \\.(glb|gltf)$ {
+            root /usr/share/nginx/html;
+            add_header Content-Type application/octet-stream;
+        }
+        
+        location ~* \\.(exr)$ {
+            root /usr/share/nginx/html;
+            add_header Content-Type image/x-exr;
+        }
+        
         # Enable gzip compression
         gzip on;
         gzip_types text/plain text/css application/json application/javascript text/xml application/xml application/xml+rss text/javascript;
@@ -474,9 +561,6 @@ http {
 }
 `;
 
-        await fs.writeFile(path.join(this.outputDir, 'Dockerfile'), dockerfile);
-        await fs.writeFile(path.join(this.outputDir, 'nginx.conf'), nginxConfig);
-        
         // Docker Compose
         const dockerCompose = `version: '3.8'
 
@@ -489,16 +573,22 @@ services:
       - .:/usr/share/nginx/html:ro
 `;
 
-        await fs.writeFile(path.join(this.outputDir, 'docker-compose.yml'), dockerCompose);
+        return {
+            'Dockerfile': dockerfile,
+            'nginx.conf': nginxConfig,
+            'docker-compose.yml': dockerCompose
+        };
+    }
+
+    async createDockerConfig() {
+        await this.writeFormatFiles(this.getDockerFiles());
         
         logger.info('Docker configuration created', { component: 'PackageBuilder' });
     }
 
-    async createNetlifyConfig() {
-        
-        await fs.writeFile(
-            path.join(this.outputDir, 'netlify.toml'),
-            `# Netlify configuration for cloned website
+    getNetlifyFiles() {
+        return {
+            'netlify.toml': `# Netlify configuration for cloned website
 
 [build]
   publish = "."
@@ -518,10 +608,278 @@ services:
   [headers.values]
     Content-Type = "image/x-exr"
 `
-        );
+        };
+    }
+
+    async createNetlifyConfig() {
+        await this.writeFormatFiles(this.getNetlifyFiles());
         
         logger.info('Netlify configuration created', { component: 'PackageBuilder' });
     }
+
+    /**
+     * WARC 1.1 file of every page and asset fetched in the session: a request,
+     * response and metadata record each. Responses come from the crawl's HAR
+     * (recorded with bodies when a web archive format was chosen); anything the
+     * HAR lacks falls back to the downloaded file, noted in the metadata record
+     */
+    async createWarc(session) {
+        const warcPath = path.join(path.dirname(this.outputDir), `cloned-site-warc-${Date.now()}.warc.gz`);
+        await this.writeWarc(session, warcPath);
+        return warcPath;
+    }
+
+    /**
+     * WACZ 1.1.1 bundle (https://specs.webrecorder.net/wacz/1.1.1/): the WARC,
+     * its CDXJ index, the page list and a datapackage.json with their digests
+     */
+    async createWacz(session) {
+        const tempDir = path.dirname(this.outputDir);
+        const stamp = Date.now();
+        const warcPath = path.join(tempDir, `cloned-site-wacz-${stamp}.warc.gz`);
+        const waczPath = path.join(tempDir, `cloned-site-wacz-${stamp}.wacz`);
+
+        try {
+            const { cdxj, pages } = await this.writeWarc(session, warcPath, 'data.warc.gz');
+
+            const pagesJsonl = [
+                { format: 'json-pages-1.0', id: 'pages', title: 'All Pages' },
+                ...pages
+            ].map(line => JSON.stringify(line)).join('\n') + '\n';
+
+            const created = new Date().toISOString();
+            const resources = [
+                { name: 'data.warc.gz', path: 'archive/data.warc.gz', ...(await this.digestFile(warcPath)) },
+                { name: 'index.cdxj', path: 'indexes/index.cdxj', ...this.digestBuffer(Buffer.from(cdxj)) },
+                { name: 'pages.jsonl', path: 'pages/pages.jsonl', ...this.digestBuffer(Buffer.from(pagesJsonl)) }
+            ];
+            const datapackage = JSON.stringify({
+                profile: 'data-package',
+                wacz_version: '1.1.1',
+                title: `Web archive of ${session.url}`,
+                created,
+                modified: created,
+                software: `ProCloner ${version}`,
+                mainPageUrl: session.url,
+                mainPageDate: pages[0]?.ts || created,
+                resources
+            }, null, 2);
+            const datapackageDigest = JSON.stringify({
+                path: 'datapackage.json',
+                hash: this.digestBuffer(Buffer.from(datapackage)).hash
+            }, null, 2);
+
+            await new Promise((resolve, reject) => {
+                const output = fs.createWriteStream(waczPath);
+                const archive = archiver('zip', { zlib: { level: 9 } });
+
+                output.on('close', resolve);
+                archive.on('error', reject);
+                archive.pipe(output);
+
+                // The WARC is already gzipped per record; storing it keeps its offsets seekable
+                archive.file(warcPath, { name: 'archive/data.warc.gz', store: true });
+                archive.append(cdxj, { name: 'indexes/index.cdxj' });
+                archive.append(pagesJsonl, { name: 'pages/pages.jsonl' });
+                archive.append(datapackage, { name: 'datapackage.json' });
+                archive.append(datapackageDigest, { name: 'datapackage-digest.json' });
+                archive.finalize();
+            });
+
+            logger.info('WACZ package created', {
+                component: 'PackageBuilder',
+                waczPath,
+                pages: pages.length,
+                responses: cdxj.split('\n').filter(Boolean).length
+            });
+
+            return waczPath;
+        } finally {
+            await fs.remove(warcPath);
+        }
+    }
+
+    async writeWarc(session, warcPath, filename) {
+        const exchanges = await this.collectArchiveExchanges(session);
+        const writer = new WarcWriter(warcPath, { filename });
+        const pages = [];
+
+        await writer.open();
+        try {
+            await writer.writeWarcinfo({
+                software: `ProCloner ${version}`,
+                isPartOf: session.id,
+                description: `Crawl of ${session.url}`
+            });
+
+            for (const exchange of exchanges) {
+                const { url, date, request, response, metadata } = exchange;
+                const responseId = await writer.writeResponse(url, response, { date });
+                await writer.writeRequest(url, request, { date, concurrentTo: responseId });
+                await writer.writeMetadata(url, metadata, { date, refersTo: responseId });
+
+                if (exchange.isPage) {
+                    pages.push({ url, ts: new Date(date).toISOString() });
+                }
+            }
+        } finally {
+            await writer.close();
+        }
+
+        logger.info('WARC file written', {
+            component: 'PackageBuilder',
+            warcPath,
+            records: exchanges.length,
+            fromHar: exchanges.filter(exchange => exchange.metadata['payload-source'] === 'har').length
+        });
+
+        return { cdxj: writer.getCdxj(), pages };
+    }
+
+    // Request/response pairs for the session's pages and downloaded assets
+    async collectArchiveExchanges(session) {
+        const harEntries = await this.loadHarEntries();
+        const resources = [
+            ...(session.pages || []).map(page => ({ url: page.url, localPath: page.localPath, isPage: true })),
+            ...(session.assets || [])
+                .filter(asset => asset.downloaded)
+                .map(asset => ({
+                    url: asset.url,
+                    // Recompressed images are archived as downloaded
+                    localPath: asset.originalPath || asset.localPath,
+                    type: asset.type,
+                    contentType: asset.contentType,
+                    downloadedAt: asset.downloadedAt
+                }))
+        ];
+
+        const exchanges = [];
+        const seen = new Set();
+        for (const resource of resources) {
+            if (seen.has(resource.url)) {
+                continue;
+            }
+            seen.add(resource.url);
+
+            const exchange = await this.buildArchiveExchange(resource, harEntries.get(resource.url), session);
+            if (exchange) {
+                exchanges.push(exchange);
+            } else {
+                logger.debug('No recorded or downloaded content to archive', {
+                    component: 'PackageBuilder',
+                    url: resource.url
+                });
+            }
+        }
+        return exchanges;
+    }
+
+    async buildArchiveExchange(resource, entry, session) {
+        const recordedBody = entry?.response.content?.text;
+        let body = null;
+        let payloadSource = 'har';
+
+        if (recordedBody !== undefined && recordedBody !== null) {
+            body = Buffer.from(recordedBody, entry.response.content.encoding === 'base64' ? 'base64' : 'utf8');
+        } else if (entry && entry.response.status >= 300 && entry.response.status < 400) {
+            body = Buffer.alloc(0); // Redirects have no body
+        } else if (resource.localPath) {
+            // Pages and stylesheets on disk have been rewritten for offline use
+            const localPath = path.resolve(this.outputDir, resource.localPath);
+            if (await fs.pathExists(localPath)) {
+                body = await fs.readFile(localPath);
+                payloadSource = 'local-copy';
+            }
+        }
+
+        if (!body) {
+            return null;
+        }
+
+        const responseHeaders = entry
+            ? (entry.response.headers || []).filter(({ name }) => {
+                const key = name.toLowerCase();
+                return !key.startsWith(':') && !ARCHIVE_DROPPED_HEADERS.includes(key);
+            })
+            : [{ name: 'Content-Type', value: resource.contentType || (resource.isPage ? 'text/html' : 'application/octet-stream') }];
+
+        return {
+            url: resource.url,
+            isPage: Boolean(resource.isPage),
+            date: entry?.startedDateTime || resource.downloadedAt || session.startTime || new Date(),
+            request: entry
+                ? {
+                    method: entry.request.method,
+                    headers: (entry.request.headers || []).filter(({ name }) => !name.startsWith(':')),
+                    body: entry.request.postData?.text || null
+                }
+                : { method: 'GET', headers: [] },
+            response: {
+                status: entry ? entry.response.status : 200,
+                statusText: entry ? entry.response.statusText : 'OK',
+                headers: [...responseHeaders, { name: 'Content-Length', value: String(body.length) }],
+                body
+            },
+            metadata: {
+                'payload-source': payloadSource,
+                'resource-type': entry?._resourceType || resource.type || (resource.isPage ? 'document' : undefined),
+                'session-id': session.id
+            }
+        };
+    }
+
+    // URL -> the HAR entry that best represents it: a response with a recorded body, then any success
+    async loadHarEntries() {
+        const entries = new Map();
+        const harPath = path.join(this.outputDir, 'crawl.har');
+        if (!await fs.pathExists(harPath)) {
+            return entries;
+        }
+
+        const rank = (entry) => {
+            const { status, content = {} } = entry.response;
+            if (status >= 200 && status < 300) {
+                return content.text !== undefined ? 3 : 2;
+            }
+            return status >= 300 && status < 400 ? 1 : 0;
+        };
+
+        try {
+            const { log } = await fs.readJson(harPath);
+            for (const entry of log.entries || []) {
+                if (entry.request.method !== 'GET' || !entry.response.status) {
+                    continue;
+                }
+                const url = entry.request.url.split('#')[0];
+                const existing = entries.get(url);
+                if (!existing || rank(entry) >= rank(existing)) {
+                    entries.set(url, entry);
+                }
+            }
+        } catch (error) {
+            logger.warn('Failed to read the crawl HAR, archiving downloaded files only', {
+                component: 'PackageBuilder',
+                harPath,
+                error: error.message
+            });
+        }
+        return entries;
+    }
+
+    async digestFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', resolve)
+                .on('error', reject);
+        });
+        return { hash: `sha256:${hash.digest('hex')}`, bytes: (await fs.stat(filePath)).size };
+    }
+
+    digestBuffer(buffer) {
+        return { hash: `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`, bytes: buffer.length };
+    }
 }
 
 module.exports = PackageBuilder;
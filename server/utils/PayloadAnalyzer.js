@@ -1,8 +1,8 @@
-const puppeteer = require('puppeteer');
 const fetch = require('node-fetch');
 const { URL } = require('url');
 const { logger } = require('./logger');
 const { config } = require('../config');
+const { launchBrowser } = require('./BrowserDriver');
 
 class PayloadAnalyzer {
   constructor(url, options = {}) {
@@ -11,6 +11,9 @@ class PayloadAnalyzer {
     this.discoveredAssets = new Map();
     this.assetSizes = new Map();
     this.analysisDepth = options.depth || 3; // How deep to analyze dependencies
+    this.browserType = options.browserType || 'chromium'; // Engines can be served different bundles
+    this.credentials = options.credentials || null; // Cookies/auth for sites behind a login
+    this.harArchive = options.harArchive || null; // Recorded traffic to analyze instead of the network
     this.visitedUrls = new Set();
     this.browser = null;
     this.page = null;
@@ -24,7 +27,8 @@ class PayloadAnalyzer {
       logger.info('Starting comprehensive payload analysis', {
         component: 'PayloadAnalyzer',
         url: this.baseUrl,
-        analysisDepth: this.analysisDepth
+        analysisDepth: this.analysisDepth,
+        browserType: this.browserType
       });
 
       // Phase 1: Initial page analysis
@@ -62,20 +66,35 @@ class PayloadAnalyzer {
   }
 
   async initializeBrowser() {
-    this.browser = await puppeteer.launch({
-      headless: config.browser.headless ? "new" : false,
+    this.browser = await launchBrowser({
+      browserType: this.browserType,
+      headless: config.browser.headless,
       args: [
         "--no-sandbox",
         "--disable-setuid-sandbox", 
         "--disable-dev-shm-usage",
         "--disable-background-timer-throttling"
       ],
-      timeout: config.browser.timeout
+      timeout: config.browser.timeout,
+      executablePath: config.browser.executablePath
     });
 
-    this.page = await this.browser.newPage();
-    await this.page.setViewport({ width: 1920, height: 1080 });
-    await this.page.setDefaultTimeout(30000);
+    this.page = await this.browser.newPage({
+      viewport: { width: 1920, height: 1080 },
+      httpCredentials: this.credentials ? this.credentials.getHttpCredentials() : null
+    });
+    this.page.setDefaultTimeout(30000);
+
+    if (this.harArchive) {
+      await this.page.setRequestResponder(({ url, method }) => this.harArchive.lookup(url, method));
+    }
+
+    if (this.credentials) {
+      if (this.credentials.cookies.length > 0) {
+        await this.page.setCookies(this.credentials.cookies);
+      }
+      await this.page.setRequestHeaders(url => this.credentials.headersFor(url, { includeCookies: false }));
+    }
   }
 
   // Analyze the initial page to discover all immediate assets
@@ -433,15 +452,22 @@ class PayloadAnalyzer {
     return dependencyAssets;
   }
 
+  getAuthHeaders(url) {
+    return this.credentials ? this.credentials.headersFor(url) : {};
+  }
+
   // Fetch asset content for analysis
   async fetchAssetContent(url) {
     try {
-      const response = await fetch(url, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+      const response = this.harArchive
+        ? await this.harArchive.fetch(url)
+        : await fetch(url, {
+          timeout: 10000,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            ...this.getAuthHeaders(url)
+          }
+        });
 
       if (response.ok) {
         return await response.text();
@@ -524,13 +550,17 @@ class PayloadAnalyzer {
 
     const sizePromises = Array.from(this.discoveredAssets.values()).map(async (asset) => {
       try {
-        const response = await fetch(asset.url, {
-          method: 'HEAD',
-          timeout: 5000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        });
+        // Recorded responses have their body, so the GET entry gives the real size
+        const response = this.harArchive
+          ? await this.harArchive.fetch(asset.url)
+          : await fetch(asset.url, {
+            method: 'HEAD',
+            timeout: 5000,
+            headers: {
+              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+              ...this.getAuthHeaders(asset.url)
+            }
+          });
 
         if (response.ok) {
           const contentLength = response.headers.get('content-length');
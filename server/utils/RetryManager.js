@@ -48,6 +48,8 @@ class RetryManager {
     this.requestQueue = []; // Rate-limited request queue
     this.activeRequests = new Set(); // Track concurrent requests
     this.domainStats = new Map(); // Per-domain statistics
+    this.domainDelays = new Map(); // Per-domain minimum delay between requests (e.g. robots.txt Crawl-delay)
+    this.domainNextSlot = new Map(); // Per-domain time the next request may start
     this.globalStats = {
       totalRequests: 0,
       successfulRequests: 0,
@@ -82,6 +84,7 @@ class RetryManager {
         // Wait for rate limiting if enabled
         if (this.options.enableRateLimit && url) {
           await this._waitForRateLimit();
+          await this.waitForDomainSlot(url);
         }
 
         // Record attempt
@@ -311,6 +314,37 @@ class RetryManager {
     });
   }
 
+  /**
+   * Set a minimum delay between requests to a domain
+   */
+  setDomainDelay(domain, delayMs) {
+    if (delayMs > 0) {
+      this.domainDelays.set(domain, delayMs);
+    } else {
+      this.domainDelays.delete(domain);
+    }
+  }
+
+  /**
+   * Wait until the domain's delay since its last request has passed
+   */
+  async waitForDomainSlot(url) {
+    const domain = this._extractDomain(url);
+    const delayMs = this.domainDelays.get(domain);
+    if (!delayMs) {
+      return;
+    }
+
+    // Reserve the slot before waiting so concurrent callers queue up behind it
+    const now = Date.now();
+    const slot = Math.max(now, this.domainNextSlot.get(domain) || 0);
+    this.domainNextSlot.set(domain, slot + delayMs);
+
+    if (slot > now) {
+      await this._delay(slot - now);
+    }
+  }
+
   /**
    * Start request processor for rate limiting
    */
@@ -374,7 +408,8 @@ class RetryManager {
       ),
       rateLimiting: {
         queueLength: this.requestQueue.length,
-        activeRequests: this.activeRequests.size
+        activeRequests: this.activeRequests.size,
+        domainDelays: Object.fromEntries(this.domainDelays)
       }
     };
 
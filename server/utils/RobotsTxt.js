@@ -0,0 +1,185 @@
+/**
+ * robots.txt Parser
+ * Implements the Robots Exclusion Protocol (RFC 9309): user-agent groups,
+ * Allow/Disallow rules with * and $ wildcards, plus the Crawl-delay and
+ * Sitemap extensions
+ */
+
+class RobotsTxt {
+  constructor(content = '', userAgent = '*') {
+    // Groups match on the product token only, e.g. "ProCloner" from "ProCloner/2.0 (...)"
+    this.agentToken = String(userAgent).split('/')[0].trim().toLowerCase() || '*';
+    this.groups = []; // Array of { agents, rules, crawlDelay }
+    this.sitemaps = [];
+
+    this._parse(content);
+    this.group = this._selectGroup();
+  }
+
+  /**
+   * Robots rules that allow everything - used when robots.txt is missing (4xx)
+   */
+  static allowAll(userAgent) {
+    return new RobotsTxt('', userAgent);
+  }
+
+  /**
+   * Robots rules that block everything - used when robots.txt is unreachable (5xx)
+   */
+  static disallowAll(userAgent) {
+    return new RobotsTxt('User-agent: *\nDisallow: /', userAgent);
+  }
+
+  _parse(content) {
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(content).split(/\r\n|\r|\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        continue;
+      }
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      switch (field) {
+        case 'user-agent':
+          // Consecutive user-agent lines share one group
+          if (!current || !lastWasAgent) {
+            current = { agents: [], rules: [], crawlDelay: null };
+            this.groups.push(current);
+          }
+          current.agents.push(value.toLowerCase());
+          lastWasAgent = true;
+          continue;
+
+        case 'allow':
+        case 'disallow':
+          // An empty Disallow means nothing is disallowed
+          if (current && value) {
+            current.rules.push({
+              allow: field === 'allow',
+              path: value,
+              pattern: this._compilePattern(value)
+            });
+          }
+          break;
+
+        case 'crawl-delay': {
+          const delay = parseFloat(value);
+          if (current && !Number.isNaN(delay) && delay >= 0) {
+            current.crawlDelay = delay;
+          }
+          break;
+        }
+
+        case 'sitemap':
+          // Sitemap lines are independent of groups
+          if (value) {
+            this.sitemaps.push(value);
+          }
+          break;
+
+        default:
+          break;
+      }
+
+      lastWasAgent = false;
+    }
+  }
+
+  _compilePattern(rulePath) {
+    const anchored = rulePath.endsWith('$');
+    const body = anchored ? rulePath.slice(0, -1) : rulePath;
+    const source = body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * Pick the rules for our user agent - a named group wins over "*", and all
+   * groups naming the same agent are merged
+   */
+  _selectGroup() {
+    // RFC 9309: the whole product token, case-insensitively - "Pro" doesn't name ProCloner
+    const named = this.groups.filter(group =>
+      group.agents.some(agent => agent !== '*' && agent.split('/')[0].trim() === this.agentToken)
+    );
+    const matching = named.length > 0
+      ? named
+      : this.groups.filter(group => group.agents.includes('*'));
+
+    const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+    return {
+      rules: matching.flatMap(group => group.rules),
+      crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+  }
+
+  /**
+   * Check a URL against the selected group. The longest matching rule wins,
+   * and Allow wins a tie
+   */
+  isAllowed(url) {
+    let target;
+    try {
+      const parsed = new URL(url);
+      target = `${parsed.pathname}${parsed.search}`;
+    } catch {
+      return { allowed: true, rule: null };
+    }
+
+    // /robots.txt itself is always allowed
+    if (target === '/robots.txt') {
+      return { allowed: true, rule: null };
+    }
+
+    let decodedTarget = target;
+    try {
+      decodedTarget = decodeURI(target);
+    } catch {
+      // Keep the raw path if it has malformed escapes
+    }
+
+    let match = null;
+    for (const rule of this.group.rules) {
+      if (!rule.pattern.test(target) && !rule.pattern.test(decodedTarget)) {
+        continue;
+      }
+
+      if (!match ||
+          rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.allow && !match.allow)) {
+        match = rule;
+      }
+    }
+
+    if (!match) {
+      return { allowed: true, rule: null };
+    }
+
+    return {
+      allowed: match.allow,
+      rule: `${match.allow ? 'Allow' : 'Disallow'}: ${match.path}`
+    };
+  }
+
+  /**
+   * Crawl-delay for our user agent in milliseconds, or null when none is set
+   */
+  getCrawlDelay() {
+    return this.group.crawlDelay === null ? null : Math.round(this.group.crawlDelay * 1000);
+  }
+
+  getSitemaps() {
+    return [...this.sitemaps];
+  }
+}
+
+module.exports = RobotsTxt;
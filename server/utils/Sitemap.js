@@ -0,0 +1,47 @@
+/**
+ * XML Sitemap Parser
+ * Reads sitemaps (sitemaps.org protocol), sitemap indexes and their
+ * gzip-compressed variants
+ */
+
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+
+// The protocol's limit for one sitemap file, uncompressed
+const MAX_SITEMAP_SIZE = 50 * 1024 * 1024;
+
+class Sitemap {
+  constructor(content) {
+    const $ = cheerio.load(Sitemap.decode(content), { xmlMode: true });
+    const locs = (selector) => $(selector)
+      .map((_, el) => $(el).text().trim())
+      .get()
+      .filter(Boolean);
+
+    // A sitemap index points at further sitemaps instead of pages
+    this.isIndex = $('sitemapindex').length > 0;
+    this.sitemaps = locs('sitemapindex > sitemap > loc');
+    this.urls = locs('urlset > url > loc');
+  }
+
+  /**
+   * Sitemap body as text - .xml.gz files are served as gzip data rather than
+   * with a Content-Encoding, so they are detected by their magic bytes.
+   * Throws when one inflates past MAX_SITEMAP_SIZE
+   */
+  static decode(content) {
+    if (Buffer.isBuffer(content) && content[0] === 0x1f && content[1] === 0x8b) {
+      try {
+        return zlib.gunzipSync(content, { maxOutputLength: MAX_SITEMAP_SIZE }).toString('utf8');
+      } catch (error) {
+        if (error instanceof RangeError || error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error('Sitemap is larger than 50MB uncompressed');
+        }
+        throw error;
+      }
+    }
+    return content.toString('utf8');
+  }
+}
+
+module.exports = Sitemap;
@@ -0,0 +1,65 @@
+/**
+ * Srcset Parser
+ * Splits srcset / imagesrcset values into candidates following the HTML
+ * spec's rules, so URLs containing commas (CDN transforms like w_300,h_200,
+ * data: URLs) stay whole and width/density descriptors survive a rewrite
+ */
+
+class Srcset {
+  /**
+   * @param {string} value - srcset attribute value
+   * @returns {Array<{ url: string, descriptor: string }>} descriptor is e.g. "2x", "640w" or ""
+   */
+  static parse(value) {
+    const candidates = [];
+    const text = String(value || '');
+    let position = 0;
+
+    while (position < text.length) {
+      // Candidates are separated by commas and whitespace
+      while (position < text.length && /[\s,]/.test(text[position])) {
+        position++;
+      }
+      if (position >= text.length) {
+        break;
+      }
+
+      // The URL runs to the next whitespace; commas inside it belong to it
+      const urlStart = position;
+      while (position < text.length && !/\s/.test(text[position])) {
+        position++;
+      }
+      let url = text.slice(urlStart, position);
+      let descriptor = '';
+
+      if (/,$/.test(url)) {
+        // "a.jpg, b.jpg 2x" - a trailing comma ends a candidate without descriptors
+        url = url.replace(/,+$/, '');
+      } else {
+        // Descriptors run to the next comma outside parentheses
+        const descriptorStart = position;
+        let depth = 0;
+        while (position < text.length && (text[position] !== ',' || depth > 0)) {
+          if (text[position] === '(') depth++;
+          if (text[position] === ')') depth = Math.max(0, depth - 1);
+          position++;
+        }
+        descriptor = text.slice(descriptorStart, position).trim().replace(/\s+/g, ' ');
+      }
+
+      if (url) {
+        candidates.push({ url, descriptor });
+      }
+    }
+
+    return candidates;
+  }
+
+  static stringify(candidates) {
+    return candidates
+      .map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url))
+      .join(', ');
+  }
+}
+
+module.exports = Srcset;
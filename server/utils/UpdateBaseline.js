@@ -0,0 +1,178 @@
+/**
+ * Update Baseline
+ * A previous session of the same site that a re-clone is compared against.
+ * Assets are requested conditionally with the validators in its cache index,
+ * unchanged ones are served from its cache as they were received (its output
+ * files have been rewritten and recompressed since), and the pages and assets
+ * of the new crawl are summarised as added, changed or removed
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const CacheManager = require('./CacheManager');
+const { logger } = require('./logger');
+
+class UpdateBaseline {
+  /**
+   * @param {Object} baseline - sessionId, pages and assets with absolute local paths,
+   *   and the CacheManager holding the session's response headers (if it cached any)
+   */
+  constructor({ sessionId, pages = [], assets = [], cacheManager = null }) {
+    this.sessionId = sessionId;
+    this.pages = new Map(pages.map(page => [page.url, page]));
+    this.assets = new Map(assets.map(asset => [asset.url, asset]));
+    this.cacheManager = cacheManager;
+  }
+
+  /**
+   * Load the baseline from a stored session
+   */
+  static async fromSession(session) {
+    const resolve = localPath => path.resolve(session.outputDir, localPath);
+
+    // Sessions from before crawl profiles have no crawlConfig; they cached under .cache
+    const cacheDir = path.join(session.outputDir, session.crawlConfig?.cache?.cacheDirectory || '.cache');
+    let cacheManager = null;
+    if (await fs.pathExists(path.join(cacheDir, 'cache.index'))) {
+      // Bodies are read on demand for 304s, so skip verifying every one up front
+      cacheManager = new CacheManager({ cacheDir, enableIntegrityCheck: false });
+      await cacheManager.initialize();
+    }
+
+    const baseline = new UpdateBaseline({
+      sessionId: session.id,
+      pages: (session.pages || [])
+        .filter(page => page.localPath)
+        .map(page => ({ ...page, localPath: resolve(page.localPath) })),
+      assets: (session.assets || [])
+        .filter(asset => asset.downloaded && asset.localPath)
+        .map(asset => ({ ...asset, localPath: resolve(asset.localPath) })),
+      cacheManager
+    });
+
+    logger.info('Loaded update baseline', {
+      component: 'UpdateBaseline',
+      sessionId: session.id,
+      pages: baseline.pages.size,
+      assets: baseline.assets.size,
+      cachedResponses: cacheManager ? cacheManager.cacheIndex.size : 0
+    });
+
+    return baseline;
+  }
+
+  /**
+   * If-None-Match / If-Modified-Since for an asset whose original response the baseline
+   * still has cached - a 304 is answered from that
+   */
+  async conditionalHeaders(url) {
+    const asset = this.assets.get(url);
+    if (!asset || !this.cacheManager) {
+      return {};
+    }
+
+    const entry = await this.cacheManager.findEntry(url);
+    if (!entry || !entry.dataPath || !(await fs.pathExists(entry.dataPath))) {
+      return {};
+    }
+
+    const { etag, 'last-modified': lastModified } = entry.headers || {};
+    const headers = {};
+    if (etag) {
+      headers['If-None-Match'] = etag;
+    }
+    if (lastModified) {
+      headers['If-Modified-Since'] = lastModified;
+    }
+    return headers;
+  }
+
+  /**
+   * The original response body of an asset the server answered 304 Not Modified for,
+   * from the baseline's cache. Headers from the 304 (e.g. a refreshed ETag) update the cached ones
+   */
+  async readAsset(url, notModifiedHeaders = {}) {
+    const asset = this.assets.get(url);
+    const entry = await this.cacheManager.findEntry(url);
+    const buffer = await this.cacheManager.readEntry(entry);
+    if (!buffer) {
+      throw new Error('Baseline response body is no longer cached');
+    }
+    const headers = { ...(entry?.headers || {}), ...notModifiedHeaders };
+
+    return {
+      buffer,
+      contentType: asset.contentType || headers['content-type'] || '',
+      headers
+    };
+  }
+
+  /**
+   * 'added', 'changed' or 'unchanged' for a freshly downloaded asset
+   */
+  classifyAsset(url, buffer) {
+    const asset = this.assets.get(url);
+    if (!asset) {
+      return 'added';
+    }
+    return asset.checksum === this._checksum(buffer) ? 'unchanged' : 'changed';
+  }
+
+  /**
+   * Change summary of a finished crawl against the baseline
+   * @param {Map} savedPages - page URL -> saved HTML path
+   * @param {Map} discoveredAssets - asset URL -> asset, with `change` set on downloads
+   */
+  async summarize(savedPages, discoveredAssets) {
+    const pages = { added: [], changed: [], removed: [], unchanged: 0 };
+    for (const [url, filePath] of savedPages) {
+      const baselinePage = this.pages.get(url);
+      if (!baselinePage) {
+        pages.added.push(url);
+      } else if (await this._sameContent(filePath, baselinePage.localPath)) {
+        pages.unchanged++;
+      } else {
+        pages.changed.push(url);
+      }
+    }
+    pages.removed = Array.from(this.pages.keys()).filter(url => !savedPages.has(url));
+
+    // Assets that failed to download are left out - they are in the error report
+    const assets = { added: [], changed: [], removed: [], unchanged: 0 };
+    for (const asset of discoveredAssets.values()) {
+      if (!asset.downloaded || !asset.change) {
+        continue;
+      }
+      if (asset.change === 'unchanged') {
+        assets.unchanged++;
+      } else {
+        assets[asset.change].push(asset.url);
+      }
+    }
+    assets.removed = Array.from(this.assets.keys()).filter(url => !discoveredAssets.has(url));
+
+    return {
+      baselineSessionId: this.sessionId,
+      generatedAt: new Date(),
+      pages,
+      assets
+    };
+  }
+
+  async _sameContent(filePath, baselinePath) {
+    try {
+      const [current, previous] = await Promise.all([fs.readFile(filePath), fs.readFile(baselinePath)]);
+      return this._checksum(current) === this._checksum(previous);
+    } catch {
+      return false;
+    }
+  }
+
+  // Same digest SmartCrawler records as asset.checksum
+  _checksum(buffer) {
+    return crypto.createHash('md5').update(buffer).digest('hex');
+  }
+}
+
+module.exports = UpdateBaseline;
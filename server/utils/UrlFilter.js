@@ -0,0 +1,160 @@
+/**
+ * URL Filter
+ * Applies the ProClonerConfig `filters` URL rules - include/exclude patterns,
+ * allowed/blocked domains and allowed/blocked paths - to pages and assets
+ *
+ * Patterns are globs (`*` matches anything, `?` one character) unless they
+ * start with "regex:". Globs match the URL path, with or without its query,
+ * unless they contain "://", in which case they match the whole URL. Regex
+ * patterns are tested against the whole URL. Patterns come from API requests,
+ * so regexes that can backtrack exponentially are refused.
+ */
+
+const REGEX_PREFIX = 'regex:';
+const MAX_PATTERN_LENGTH = 256;
+
+class UrlFilter {
+  constructor(filters = {}) {
+    this.includePatterns = UrlFilter.compileAll(filters.urlIncludePatterns);
+    this.excludePatterns = UrlFilter.compileAll(filters.urlExcludePatterns);
+    this.allowedDomains = (filters.allowedDomains || []).map(domain => domain.toLowerCase());
+    this.blockedDomains = (filters.blockedDomains || []).map(domain => domain.toLowerCase());
+    this.allowedPaths = UrlFilter.compileAll(filters.allowedPaths);
+    this.blockedPaths = UrlFilter.compileAll(filters.blockedPaths);
+  }
+
+  /**
+   * Compile a glob or "regex:" pattern - throws on an invalid or unsafe regex
+   */
+  static compile(pattern) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    if (pattern.startsWith(REGEX_PREFIX)) {
+      const source = pattern.slice(REGEX_PREFIX.length);
+      if (UrlFilter.hasNestedQuantifier(source)) {
+        throw new Error('Repeated groups may not contain quantifiers or alternatives');
+      }
+      return { pattern, regex: new RegExp(source), wholeUrl: true };
+    }
+
+    const source = pattern
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    return { pattern, regex: new RegExp(`^${source}$`, 'i'), wholeUrl: pattern.includes('://') };
+  }
+
+  static compileAll(patterns = []) {
+    return patterns.map(pattern => UrlFilter.compile(pattern));
+  }
+
+  /**
+   * Whether a regex repeats a group that itself repeats or alternates, like (a+)+ or (a|ab)* -
+   * those take exponential time on URLs that almost match
+   */
+  static hasNestedQuantifier(source) {
+    const groups = []; // Per open group: does it contain a quantifier or alternative
+    const isRepeat = char => char === '*' || char === '+' || char === '{';
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '[') {
+        // Character classes can't nest quantifiers
+        for (i++; i < source.length && source[i] !== ']'; i++) {
+          if (source[i] === '\\') {
+            i++;
+          }
+        }
+      } else if (char === '(') {
+        groups.push(false);
+      } else if (char === ')') {
+        const inner = groups.pop();
+        const repeated = isRepeat(source[i + 1]);
+        if (inner && repeated) {
+          return true;
+        }
+        if (groups.length > 0 && (inner || repeated)) {
+          groups[groups.length - 1] = true;
+        }
+      } else if ((isRepeat(char) || char === '|') && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check a URL against every rule. Returns the rule that excluded it, if any
+   */
+  check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: true, rule: null };
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+
+    const blockedDomain = this.blockedDomains.find(domain => this._matchesDomain(hostname, domain));
+    if (blockedDomain) {
+      return this._excluded('blockedDomains', blockedDomain);
+    }
+
+    if (this.allowedDomains.length > 0 &&
+        !this.allowedDomains.some(domain => this._matchesDomain(hostname, domain))) {
+      return this._excluded('allowedDomains', 'no matching domain');
+    }
+
+    const blockedPath = this._findMatch(this.blockedPaths, parsed);
+    if (blockedPath) {
+      return this._excluded('blockedPaths', blockedPath.pattern);
+    }
+
+    if (this.allowedPaths.length > 0 && !this._findMatch(this.allowedPaths, parsed)) {
+      return this._excluded('allowedPaths', 'no matching path');
+    }
+
+    const excluded = this._findMatch(this.excludePatterns, parsed);
+    if (excluded) {
+      return this._excluded('urlExcludePatterns', excluded.pattern);
+    }
+
+    if (this.includePatterns.length > 0 && !this._findMatch(this.includePatterns, parsed)) {
+      return this._excluded('urlIncludePatterns', 'no matching pattern');
+    }
+
+    return { allowed: true, rule: null };
+  }
+
+  // Path globs match with or without the query string
+  _findMatch(compiled, parsed) {
+    const targets = [parsed.pathname, `${parsed.pathname}${parsed.search}`];
+    return compiled.find(({ regex, wholeUrl }) =>
+      wholeUrl ? regex.test(parsed.href) : targets.some(target => regex.test(target))
+    );
+  }
+
+  // "example.com" covers its subdomains, "*.example.com" covers only subdomains
+  _matchesDomain(hostname, domain) {
+    if (domain.startsWith('*.')) {
+      return hostname.endsWith(domain.slice(1));
+    }
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+
+  _excluded(filter, detail) {
+    return { allowed: false, rule: `filters.${filter}: ${detail}` };
+  }
+}
+
+module.exports = UrlFilter;
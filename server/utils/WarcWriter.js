@@ -0,0 +1,218 @@
+/**
+ * WARC Writer
+ * Writes WARC 1.1 files (https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/)
+ * with one gzip member per record, so replay tools can seek straight to a
+ * record, and builds the CDXJ index of the response records written
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { v4: uuidv4 } = require('uuid');
+
+const CRLF = '\r\n';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class WarcWriter {
+  /**
+   * @param {string} filePath - the .warc.gz file to write
+   * @param {Object} options - filename recorded in the CDXJ index (defaults to the file's name)
+   */
+  constructor(filePath, { filename = path.basename(filePath) } = {}) {
+    this.filePath = filePath;
+    this.filename = filename;
+    this.fd = null;
+    this.offset = 0;
+    this.cdxj = [];
+  }
+
+  async open() {
+    this.fd = await fs.open(this.filePath, 'w');
+    this.offset = 0;
+    this.cdxj = [];
+  }
+
+  async close() {
+    if (this.fd !== null) {
+      await fs.close(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * warcinfo record describing the file - written first
+   * @param {Object} fields - e.g. { software, description }
+   */
+  async writeWarcinfo(fields = {}) {
+    return this._writeRecord('warcinfo', {
+      'WARC-Filename': this.filename,
+      'Content-Type': 'application/warc-fields'
+    }, this._warcFields({ format: 'WARC File Format 1.1', ...fields }));
+  }
+
+  /**
+   * HTTP request record, tied to its response with WARC-Concurrent-To
+   * @param {Object} request - method, headers ([{ name, value }]) and an optional body
+   */
+  async writeRequest(url, { method = 'GET', headers = [], body = null }, { date, concurrentTo } = {}) {
+    const { pathname, search, host } = new URL(url);
+    const allHeaders = headers.some(({ name }) => name.toLowerCase() === 'host')
+      ? headers
+      : [{ name: 'Host', value: host }, ...headers];
+
+    const block = Buffer.concat([
+      this._httpHead(`${method} ${pathname}${search} HTTP/1.1`, allHeaders),
+      body ? Buffer.from(body) : Buffer.alloc(0)
+    ]);
+
+    return this._writeRecord('request', {
+      'WARC-Target-URI': url,
+      'WARC-Date': this._warcDate(date),
+      ...(concurrentTo ? { 'WARC-Concurrent-To': `<${concurrentTo}>` } : {}),
+      'Content-Type': 'application/http;msgtype=request',
+      'WARC-Block-Digest': this._digest(block)
+    }, block);
+  }
+
+  /**
+   * HTTP response record - also added to the CDXJ index
+   * @param {Object} response - status, statusText, headers ([{ name, value }]) and the body Buffer
+   */
+  async writeResponse(url, { status, statusText, headers = [], body = Buffer.alloc(0) }, { date } = {}) {
+    const head = this._httpHead(`HTTP/1.1 ${status} ${statusText || STATUS_CODES[status] || ''}`.trim(), headers);
+    const block = Buffer.concat([head, body]);
+    const payloadDigest = this._digest(body);
+    const timestamp = this._warcDate(date);
+
+    const offset = this.offset;
+    const recordId = await this._writeRecord('response', {
+      'WARC-Target-URI': url,
+      'WARC-Date': timestamp,
+      'Content-Type': 'application/http;msgtype=response',
+      'WARC-Payload-Digest': payloadDigest,
+      'WARC-Block-Digest': this._digest(block)
+    }, block);
+
+    const contentType = headers.find(({ name }) => name.toLowerCase() === 'content-type');
+    this.cdxj.push({
+      key: WarcWriter.surt(url),
+      timestamp: timestamp.replace(/\D/g, ''),
+      fields: {
+        url,
+        mime: contentType ? contentType.value.split(';')[0].trim() : 'unk',
+        status: String(status),
+        digest: payloadDigest,
+        length: String(this.offset - offset),
+        offset: String(offset),
+        filename: this.filename
+      }
+    });
+
+    return recordId;
+  }
+
+  /**
+   * Metadata record about a response (where its payload came from, resource type, ...)
+   */
+  async writeMetadata(url, fields, { date, refersTo } = {}) {
+    const block = this._warcFields(fields);
+    return this._writeRecord('metadata', {
+      'WARC-Target-URI': url,
+      'WARC-Date': this._warcDate(date),
+      ...(refersTo ? { 'WARC-Refers-To': `<${refersTo}>` } : {}),
+      'Content-Type': 'application/warc-fields',
+      'WARC-Block-Digest': this._digest(block)
+    }, block);
+  }
+
+  /**
+   * CDXJ index of the responses written so far, sorted as replay tools expect
+   */
+  getCdxj() {
+    return this.cdxj
+      .map(({ key, timestamp, fields }) => `${key} ${timestamp} ${JSON.stringify(fields)}`)
+      .sort()
+      .join('\n') + (this.cdxj.length > 0 ? '\n' : '');
+  }
+
+  /**
+   * Sort-friendly URI Rewriting Transform: https://www.example.com/a?b=2&a=1 -> com,example)/a?a=1&b=2
+   */
+  static surt(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url.toLowerCase();
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\d*\./, '').split('.').reverse().join(',');
+    const port = parsed.port ? `:${parsed.port}` : '';
+    const query = parsed.search
+      ? `?${parsed.search.slice(1).split('&').sort().join('&')}`
+      : '';
+
+    return `${host}${port})${parsed.pathname}${query}`.toLowerCase();
+  }
+
+  async _writeRecord(type, headers, block) {
+    const recordId = `urn:uuid:${uuidv4()}`;
+    const warcHeaders = {
+      'WARC-Type': type,
+      'WARC-Record-ID': `<${recordId}>`,
+      ...(headers['WARC-Date'] ? {} : { 'WARC-Date': this._warcDate() }),
+      ...headers,
+      'Content-Length': String(block.length)
+    };
+
+    const record = Buffer.concat([
+      Buffer.from(`WARC/1.1${CRLF}${Object.entries(warcHeaders).map(([name, value]) => `${name}: ${value}`).join(CRLF)}${CRLF}${CRLF}`),
+      block,
+      Buffer.from(`${CRLF}${CRLF}`)
+    ]);
+
+    const compressed = zlib.gzipSync(record);
+    await fs.write(this.fd, compressed, 0, compressed.length, this.offset);
+    this.offset += compressed.length;
+
+    return recordId;
+  }
+
+  _httpHead(statusLine, headers) {
+    const lines = headers.map(({ name, value }) => `${name}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+    return Buffer.from(`${[statusLine, ...lines].join(CRLF)}${CRLF}${CRLF}`);
+  }
+
+  _warcFields(fields) {
+    return Buffer.from(
+      Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}: ${value}${CRLF}`)
+        .join('')
+    );
+  }
+
+  // WARC dates are UTC with second precision: 2024-01-31T12:00:00Z
+  _warcDate(date = new Date()) {
+    return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  // sha1 in base32, the digest form WARC tools use
+  _digest(buffer) {
+    const hash = crypto.createHash('sha1').update(buffer).digest();
+    let bits = '';
+    for (const byte of hash) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let encoded = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return `sha1:${encoded}`;
+  }
+}
+
+module.exports = WarcWriter;